@@ -19,10 +19,14 @@
 //   ETO_SwapPropertyCmd
 //   ETO_ArrayInsertCmd
 //   ETO_ArrayRemoveCmd
+//   ETO_ReplaceRangeCmd
+//   ETO_ReorderCmd
+//   ETO_ApplyEditsCmd
 //
 // Description:
 //   This file contains definitions of constructor functions for invertible command objects.
-//   Each command object has an 'exec' function.
+//   Each command object has an 'exec' function, and can have 'estimateCost' and 'mergesWith'
+//   functions.
 //   ETO_InvertibleCmd is the base class for all command classes.
 
 // ----------------------------------------------------------
@@ -39,6 +43,22 @@ ETO_InvertibleCmd.prototype.exec = function()
         "the 'exec' function has not been properly overridden by the inheriting class.");
 }
 
+// Returns a rough estimate of the memory held by the command, in arbitrary units, which 
+// ETO_UndoRedoSystem uses for its cost budget. The default is 1. Commands that hold large values 
+// override it.
+ETO_InvertibleCmd.prototype.estimateCost = function()
+{
+    return 1;
+}
+
+// Returns true if this command, as an undo just added to an ETO_UndoRedoSystem, can be merged into 
+// the undo at the top of its undo stack. The previous undo is kept and this one is dropped, so it 
+// must already restore everything this one would. The default is false.
+ETO_InvertibleCmd.prototype.mergesWith = function(previousCmd)
+{
+    return false;
+}
+
 // ----------------------------------------------------------
 
 // Constructor function for an invertible command that represents a collection of invertible commands.
@@ -53,6 +73,16 @@ function ETO_InvertibleCmds(cmdArr)
         }
         return new ETO_InvertibleCmds(inverseArr);
     };
+    this.estimateCost = function()
+    {
+        // The sum of the costs of the commands
+        var cost = 0;
+        for (var i = 0; i < cmdArr.length; i++)
+        {
+            cost += (cmdArr[i].estimateCost instanceof Function) ? cmdArr[i].estimateCost() : 1;
+        }
+        return cost;
+    };
     Object.freeze(this);
 }
 
@@ -75,6 +105,20 @@ function ETO_SetPropertyCmd(object, propertyName, value)
         // Return inverse
         return inverse;
     };
+    this.estimateCost = function()
+    {
+        // Strings, such as text snapshots, cost their length
+        return (typeof value === "string") ? Math.max(1, value.length) : 1;
+    };
+    this.mergesWith = function(previousCmd)
+    {
+        // An earlier set of the same property restores an older value, so it covers this one
+        return (previousCmd instanceof ETO_SetPropertyCmd) && previousCmd.setsProperty(object, propertyName);
+    };
+    this.setsProperty = function(obj, name)
+    {
+        return obj === object && name === propertyName;
+    };
     Object.freeze(this);
 }
 
@@ -127,8 +171,9 @@ function ETO_ArrayRemoveCmd(array, index)
 {
     this.exec = function()
     {
-        // Get the item before removing
-        var item = array[index];
+        // Get the item before removing. Lists without index properties only 
+        // have the 'at' function.
+        var item = (array.at instanceof Function) ? array.at(index) : array[index];
 
         // Remove the item
         array.splice(index, 1);
@@ -143,3 +188,132 @@ function ETO_ArrayRemoveCmd(array, index)
 ETO_ArrayRemoveCmd.prototype = Object.create(ETO_InvertibleCmd.prototype);
 
 // ----------------------------------------------------------
+
+// Constructor function for a command object that replaces 'count' items 
+// starting at 'index' with the items in the 'items' array. Works on arrays 
+// and on objects with a replaceRange function, such as ETO_ObservableList.
+function ETO_ReplaceRangeCmd(arrayOrList, index, count, items)
+{
+    this.exec = function()
+    {
+        var removed;
+        if (arrayOrList.replaceRange instanceof Function)
+        {
+            // Get the items before replacing
+            removed = arrayOrList.toArray().slice(index, index + count);
+            arrayOrList.replaceRange(index, count, items);
+        }
+        else
+        {
+            removed = arrayOrList.splice.apply(arrayOrList, [index, count].concat(items));
+        }
+
+        // Return the inverse command
+        return new ETO_ReplaceRangeCmd(arrayOrList, index, items.length, removed);
+    };
+    this.estimateCost = function() { return Math.max(1, items.length); };
+    Object.freeze(this);
+}
+
+// Inherit from ETO_InvertibleCmd
+ETO_ReplaceRangeCmd.prototype = Object.create(ETO_InvertibleCmd.prototype);
+
+// ----------------------------------------------------------
+
+// Constructor function for a command object that reorders the items of 
+// an array, or of an object with a reorder function such as 
+// ETO_ObservableList. The permutation is an array where permutation[i] 
+// is the new index of the item at index i.
+function ETO_ReorderCmd(arrayOrList, permutation)
+{
+    this.exec = function()
+    {
+        if (arrayOrList.reorder instanceof Function)
+        {
+            arrayOrList.reorder(permutation);
+        }
+        else
+        {
+            var items = arrayOrList.slice(0);
+            for (var i = 0; i < items.length; i++)
+            {
+                arrayOrList[permutation[i]] = items[i];
+            }
+        }
+
+        // The inverse moves each item from its new index back to the old one
+        var inverse = new Array(permutation.length);
+        for (var i = 0; i < permutation.length; i++)
+        {
+            inverse[permutation[i]] = i;
+        }
+        return new ETO_ReorderCmd(arrayOrList, inverse);
+    };
+    Object.freeze(this);
+}
+
+// Inherit from ETO_InvertibleCmd
+ETO_ReorderCmd.prototype = Object.create(ETO_InvertibleCmd.prototype);
+
+// ----------------------------------------------------------
+
+// Constructor function for a command object that applies an edit script, 
+// as returned by the reconcile function of ETO_ObservableList. Works on 
+// arrays and on objects with an applyEdits function, such as 
+// ETO_ObservableList.
+function ETO_ApplyEditsCmd(arrayOrList, edits)
+{
+    this.exec = function()
+    {
+        if (arrayOrList.applyEdits instanceof Function)
+        {
+            arrayOrList.applyEdits(edits);
+        }
+        else
+        {
+            for (var i = 0; i < edits.length; i++)
+            {
+                var edit = edits[i];
+                if (edit.type == "insert") { arrayOrList.splice(edit.index, 0, edit.item); }
+                else if (edit.type == "remove") { arrayOrList.splice(edit.index, 1); }
+                else if (edit.type == "move")
+                {
+                    var moved = arrayOrList.splice(edit.fromIndex, 1);
+                    arrayOrList.splice(edit.toIndex, 0, moved[0]);
+                }
+                else { arrayOrList[edit.index] = edit.item; }
+            }
+        }
+
+        // The inverse undoes each edit, in reverse order
+        var inverse = new Array(edits.length);
+        for (var i = 0; i < edits.length; i++)
+        {
+            var edit = edits[i];
+            var inverseEdit;
+            if (edit.type == "insert")
+                inverseEdit = { "type": "remove", "index": edit.index, "item": edit.item };
+            else if (edit.type == "remove")
+                inverseEdit = { "type": "insert", "index": edit.index, "item": edit.item };
+            else if (edit.type == "move")
+            {
+                inverseEdit = { "type": "move", "fromIndex": edit.toIndex,
+                    "toIndex": edit.fromIndex, "item": edit.item };
+            }
+            else
+            {
+                inverseEdit = { "type": "replace", "index": edit.index, "item": edit.oldItem,
+                    "oldItem": edit.item };
+            }
+            inverse[edits.length - i - 1] = inverseEdit;
+        }
+        return new ETO_ApplyEditsCmd(arrayOrList, inverse);
+    };
+    this.estimateCost = function() { return Math.max(1, edits.length); };
+    Object.freeze(this);
+}
+
+// Inherit from ETO_InvertibleCmd
+ETO_ApplyEditsCmd.prototype = Object.create(ETO_InvertibleCmd.prototype);
+
+// ----------------------------------------------------------
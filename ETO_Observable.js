@@ -5,7 +5,7 @@
 //   https://developer.mozilla.org/
 //
 // File Dependencies:
-//   (none)
+//   ETO_Foundation.js
 //
 // Technology Dependencies:
 //   ES 5.1 or later
@@ -13,6 +13,8 @@
 // Declared classes (constructor functions) in this file:
 //   ETO_Observable
 //   ETO_ObservableList
+//   ETO_PropertyBinding
+//   ETO_SubscriptionGroup
 
 // ----------------------------------------------------------
 
@@ -26,8 +28,10 @@
 // "objectToCopy":
 //   Object to copy to construct this instance. Ignored if not a non-null object.
 //   One special case is when this object has the 'ETO_Observable_SerializedData' member, 
-//   which indicates advanced serialization that preserves properties of properties. Otherwise all 
-//   enumerable properties are copied and added to this object as configurable, writable, and 
+//   which indicates advanced serialization that preserves properties of properties. In that case 
+//   a property that cannot be deserialized, for example because its type is not registered, is 
+//   skipped, and the deserializationResult property of the new object has the details. Otherwise 
+//   all enumerable properties are copied and added to this object as configurable, writable, and 
 //   enumerable properties.
 //
 // "simpleSerialize":
@@ -41,6 +45,29 @@ function ETO_Observable(objectToCopy, simpleSerialize)
     // Initialize list of observers
     Object.defineProperty(this, "m_observers", { "value": [] });
 
+    // Initialize batching state. While m_batchDepth is greater than zero, changes are collected 
+    // in m_batchChanges instead of being sent to observers. See beginBatch and endBatch.
+    Object.defineProperty(this, "m_batchDepth", { "value": 0, "writable": true });
+    Object.defineProperty(this, "m_batchChanges", { "value": [] });
+
+    // Asynchronous delivery state, which is null in the default synchronous delivery mode. See 
+    // setDeliveryMode.
+    Object.defineProperty(this, "m_asyncDelivery", { "value": null, "writable": true });
+
+    // Handler for errors thrown by observers. See setObserverErrorHandler.
+    Object.defineProperty(this, "m_errorHandler", { "value": null, "writable": true });
+
+    // Initialize list of path observers, stored as [observerHandle, detachFunction] pairs
+    Object.defineProperty(this, "m_pathObservers", { "value": [] });
+
+    // Initialize list of computed properties, stored as [propertyName, detachFunction] pairs
+    Object.defineProperty(this, "m_computedProperties", { "value": [] });
+
+    // The ETO_Result of deserializing the special case serialized data described above, null if the 
+    // object was not constructed from such data. On failure, its "errors" member is an array of 
+    // the failed ETO_Results of the properties that were skipped.
+    Object.defineProperty(this, "deserializationResult", { "value": null, "writable": true });
+
     // 'objectToCopy' is optional and ignored if not a non-null object
     if (objectToCopy !== null && typeof objectToCopy === "object")
     {
@@ -49,14 +76,28 @@ function ETO_Observable(objectToCopy, simpleSerialize)
 	    {
 	    	var param = objectToCopy.ETO_Observable_SerializedData;
 
-	    	// Add an observable property for each item in the array
+	    	// Add an observable property for each item in the array, skipping the ones that fail
+	    	var errors = [];
 	    	for (var i = 0; i < param.length; i++)
 	    	{
 	    		// If 'varType' is not a member, then it's not a valid descriptor
 	    		var desc = param[i];
 	    		if (desc.varType === undefined) { continue; }
 
-	    		this.addDeserializedProperty(desc);
+	    		var result = this.tryAddDeserializedProperty(desc);
+	    		if (!result.success) { errors.push(result); }
+	    	}
+
+	    	if (errors.length === 0)
+	    	{
+	    		this.deserializationResult = new ETO_Result(true, "Deserialized all properties", 
+	    			"ETO_Observable");
+	    	}
+	    	else
+	    	{
+	    		this.deserializationResult = new ETO_Result(false, 
+	    			errors.map(function(e) { return e.message; }).join("; "), "ETO_Observable");
+	    		this.deserializationResult.errors = errors;
 	    	}
 	    }
 	    else
@@ -96,6 +137,14 @@ function ETO_Observable(objectToCopy, simpleSerialize)
 // "userData":
 //   The same userData object passed to this function when adding the observer
 //
+// "changes":
+//   Present only when the notification is the result of a batch (see beginBatch and endBatch). In 
+//   that case "name" and "oldValue" are undefined and this is an array of change objects, each with 
+//   "object", "name", "oldValue" and "senders" members, in the order the changes first occurred.
+//
+// Notifications that are not property changes, such as the "evicted" notification of 
+// ETO_UndoRedoSystem, can have other members describing them, which are passed on as-is.
+//
 // The returned object is an "observer handle" that can be used to remove the observer if desired.
 // If the callbackFunc parameter is null then null is returned. The userData parameter is allowed to be
 // undefined or null if desired, but not the callback function.
@@ -114,39 +163,308 @@ ETO_Observable.prototype.addChangeObserver = function(callbackFunc, userData, th
         };
         Object.freeze(observerHandle);
         this.m_observers.push(observerHandle);
+        this.checkObserversChangeDuringDispatch("added", observerHandle);
         return observerHandle;
     }
     return null;
 }
 
+// addComputedProperty(propertyName, computeFunc[, isEnumerable])
+//
+// Adds a read-only property whose value is the return value of computeFunc, called 
+// with this object as 'this'. While computeFunc runs, every observable property it reads is recorded 
+// as a dependency. This includes properties of other ETO_Observable objects, such as nested values, 
+// and any ETO_ObservableList whose length or items it reads, whether by index, with at, or with 
+// functions such as forEach, map or toArray. Any notification from a list it depends on counts as 
+// a change.
+//
+// The value is cached. When a dependency changes, the cached value is marked as stale. If this 
+// object has observers other than the computed property's own, the value is recomputed right away 
+// and observers are notified if it is no longer identical (===) to the cached value. Otherwise it 
+// is recomputed the next time the property is read. Dependencies are re-recorded on every 
+// recomputation.
+//
+// The property can be removed with removeProperty, which also removes the observers of its 
+// dependencies. Until then, the objects it depends on keep references to this object.
+//
+// Returns true if the property was added, false if the name is invalid or already in use, or if 
+// computeFunc is not a function.
+ETO_Observable.prototype.addComputedProperty = function(propertyName, computeFunc, isEnumerable)
+{
+    // Reject special-case property names
+    if (propertyName === null ||
+        propertyName === undefined ||
+        propertyName == "ETO_Observable_Properties") { return false; }
+    if (!(computeFunc instanceof Function)) { return false; }
+    
+    // Make sure the name is a string
+    propertyName = propertyName.toString();
+    
+    // Can't add a property that's already here
+    if (this[propertyName] !== undefined) { return false; }
+    
+    // Setup defaults if necessary
+    if (isEnumerable === undefined) { isEnumerable = true; }
+
+    var us = this;
+    var cachedValue = undefined;
+    var isStale = true;
+
+    // Array of [object, observerHandle] pairs for the dependency observers currently attached. The 
+    // observers use 'ownToken' as their userData so that they can be told apart from others.
+    var dependencies = [];
+    var ownToken = new Object();
+    var isRemoved = false;
+
+    var onDependencyChanged = function()
+    {
+    	// A notification that was already being dispatched when the property was removed
+    	if (isRemoved) { return; }
+    	isStale = true;
+
+    	// Only recompute right away if somebody is listening for the result
+    	for (var i = 0; i < us.m_observers.length; i++)
+    	{
+    		if (us.m_observers[i].userData !== ownToken)
+    		{
+    			var oldValue = cachedValue;
+    			if (us[propertyName] !== oldValue)
+    				us.notifyAll({ "name": propertyName, "oldValue": oldValue });
+    			return;
+    		}
+    	}
+    };
+
+    var recompute = function()
+    {
+    	// Run the function with a tracker on the stack to record what it reads
+    	var tracker = [];
+    	ETO_Observable.m_dependencyTrackers.push(tracker);
+    	try
+    	{
+    		cachedValue = computeFunc.call(us);
+    	}
+    	finally
+    	{
+    		ETO_Observable.m_dependencyTrackers.pop();
+    	}
+    	isStale = false;
+
+    	// Replace the old dependency observers with new ones. This happens during notifications of 
+    	// the dependencies, so it is exempt from the debug mode check.
+    	ETO_Observable.changeObserversInternally(function()
+    	{
+    		replaceDependencies(tracker);
+    	});
+    };
+
+    // Replaces the dependency observers with observers of the objects read while computing
+    var replaceDependencies = function(tracker)
+    {
+    	for (var i = 0; i < dependencies.length; i++)
+    		dependencies[i][0].removeChangeObserver(dependencies[i][1]);
+    	dependencies = [];
+    	for (var i = 0; i < tracker.length; i++)
+    	{
+    		var obj = tracker[i][0];
+    		if (obj === us && tracker[i][1] === propertyName) { continue; }
+
+    		// One observer per object is enough
+    		var alreadyObserved = false;
+    		for (var j = 0; j < dependencies.length; j++)
+    		{
+    			if (dependencies[j][0] === obj) { alreadyObserved = true; break; }
+    		}
+    		if (alreadyObserved) { continue; }
+
+    		var handle;
+    		if (obj instanceof ETO_ObservableList)
+    			handle = obj.addChangeObserver(onDependencyChanged, ownToken);
+    		else
+    			handle = obj.addChangeObserver(makeObserver(obj, tracker), ownToken);
+    		dependencies.push([obj, handle]);
+    	}
+    };
+
+    // Makes the observer for an ETO_Observable dependency, which only reacts to changes of the 
+    // properties that were actually read from it
+    var makeObserver = function(obj, tracker)
+    {
+    	var names = [];
+    	for (var i = 0; i < tracker.length; i++)
+    	{
+    		if (tracker[i][0] === obj) { names.push(tracker[i][1]); }
+    	}
+
+    	return function(info)
+    	{
+    		var changes = info.changes ? info.changes : [info];
+    		for (var i = 0; i < changes.length; i++)
+    		{
+    			if (changes[i].object === obj && names.indexOf(changes[i].name) != -1)
+    			{
+    				onDependencyChanged();
+    				return;
+    			}
+    		}
+    	};
+    };
+
+    // Removes the dependency observers, for removeProperty
+    var detach = function()
+    {
+    	isRemoved = true;
+    	ETO_Observable.changeObserversInternally(function()
+    	{
+    		replaceDependencies([]);
+    	});
+    };
+
+    // Define the property (no setter!)
+    Object.defineProperty(this, propertyName, {
+    	"enumerable": isEnumerable,
+    	"configurable": true,
+    	"get": function()
+    	{
+    		ETO_Observable.noteRead(us, propertyName);
+    		if (isStale) { recompute(); }
+    		return cachedValue;
+    	}
+    });
+
+    this.m_computedProperties.push([propertyName, detach]);
+
+    // Compute the initial value so that dependencies are observed from the start
+    recompute();
+
+    // We DO invoke the change callbacks when a property is added
+    this.notifyAll({ "name": propertyName, "oldValue": undefined, "object": this });
+
+    return true;
+}
+
+// addDeserializedProperty(propDesc)
+//
+// Adds a property from a property descriptor produced by toJSON (when not using simple 
+// serialization). The descriptor has the members name, value, enumerable, writable, configurable 
+// and varType. Primitive values are taken as-is. All other values are re-created by the type 
+// registered with ETO_Observable.registerType under the id in varType.
+//
+// Returns true if the property was added, false otherwise. Use tryAddDeserializedProperty to get 
+// an ETO_Result that explains a failure.
 ETO_Observable.prototype.addDeserializedProperty = function(propDesc)
 {
-	// Get the global object (expected to be either window or global)
-	var globalObj;
-	if (typeof window == "undefined") { globalObj = global; }
-	else { globalObj = window; }
+	return this.tryAddDeserializedProperty(propDesc).success;
+}
+
+// addPathObserver(path, callbackFunc[, userData, thisForCallback])
+//
+// Adds an observer for the value at a property path relative to this object. The path is either a 
+// string of dot-separated property names, such as "document.selection.startIndex", or an array of 
+// property names. Each step of the path can go through an ETO_Observable, where the named property 
+// is observed, or through an ETO_ObservableList, where the name is either an item index or "length" 
+// and any add, remove or replace in the list is observed. Steps through other objects are followed 
+// but cannot be observed.
+//
+// Whenever an object along the path notifies of a relevant change, the path is resolved again and 
+// the observers are moved to the objects now on the path. If the value at the end of the path is 
+// no longer identical (===) to the previous value, the callback is called with an object that has 
+// the following members:
+//
+// "sender", "senders", "object":
+//   This object (the root of the path), and an array containing only this object.
+//
+// "name" and "path":
+//   The path string (dot-separated) and the path as an array of names, respectively.
+//
+// "oldValue" and "value":
+//   The value at the end of the path before and after the change. Undefined when the path could 
+//   not be resolved.
+//
+// "userData":
+//   The same userData object passed to this function when adding the observer.
+//
+// The returned observer handle can be passed to removeChangeObserver. Null is returned if the 
+// callback is not a function or the path is empty.
+ETO_Observable.prototype.addPathObserver = function(path, callbackFunc, userData, thisForCallback)
+{
+	if (!(callbackFunc instanceof Function)) { return null; }
+	if (typeof path === "string") { path = path.split("."); }
+	if (!(path instanceof Array) || path.length === 0) { return null; }
+	if (thisForCallback == undefined) { thisForCallback = this; }
+
+	var us = this;
+	var pathString = path.join(".");
+	var attached = []; // [object, observerHandle] pairs
 
-	// If it's a primitive type, then we take the value as-is
-	if (propDesc.varType == "string" || propDesc.varType == "boolean" ||
-		propDesc.varType == "number")
+	// Resolves the path, attaching observers along the way, and returns the value at the end
+	var attach = function()
 	{
-		return this.addProperty(
-			propDesc.name, propDesc.value, propDesc.configurable, propDesc.writable,
-			propDesc.enumerable);
-	}
+		var obj = us;
+		for (var i = 0; i < path.length; i++)
+		{
+			var name = path[i].toString();
+			if (obj instanceof ETO_Observable)
+			{
+				attached.push([obj, obj.addPropertyObserver(name, onPathChanged)]);
+				obj = obj[name];
+			}
+			else if (obj instanceof ETO_ObservableList)
+			{
+				attached.push([obj, obj.addChangeObserver(onPathChanged)]);
+				obj = (name == "length") ? obj.length : obj.at(parseInt(name, 10));
+			}
+			else if (obj !== null && obj !== undefined)
+				obj = obj[name];
+			else
+				return undefined;
+		}
+		return obj;
+	};
 
-	// Coming here means it's not a primitive type
-	// If the global object doesn't have a constructor function for the type, 
-	// then it cannot be re-created
-	if (!(globalObj[propDesc.varType] instanceof Function)) { return false; }
+	var detach = function()
+	{
+		for (var i = 0; i < attached.length; i++)
+			attached[i][0].removeChangeObserver(attached[i][1]);
+		attached = [];
+	};
+
+	var onPathChanged = function()
+	{
+		// Re-attaching happens during notifications of the objects on the path, so it is exempt 
+		// from the debug mode check
+		var oldValue = currentValue;
+		ETO_Observable.changeObserversInternally(function()
+		{
+			detach();
+			currentValue = attach();
+		});
+		if (currentValue === oldValue) { return; }
+
+		callbackFunc.call(thisForCallback, {
+			"sender": us,
+			"senders": [us],
+			"object": us,
+			"name": pathString,
+			"path": path.concat([]),
+			"oldValue": oldValue,
+			"value": currentValue,
+			"userData": userData
+		});
+	};
 
-	// Attempt to reconstruct the object with the proper type
-	var value = new globalObj[propDesc.varType](propDesc.value);
+	var currentValue = attach();
 
-	// Add the property
-	return this.addProperty(
-	    propDesc.name, value, propDesc.configurable, propDesc.writable, 
-	    propDesc.enumerable);
+	// Create an immutable observer handle
+	var observerHandle = {
+		"callbackFunction": callbackFunc,
+		"userData": userData,
+		"callbackThis": thisForCallback,
+		"path": pathString
+	};
+	Object.freeze(observerHandle);
+	this.m_pathObservers.push([observerHandle, detach]);
+	return observerHandle;
 }
 
 // addProperty(propertyName, propertyValue, removable, writable, isEnumerable)
@@ -206,7 +524,11 @@ ETO_Observable.prototype.addProperty = function(propertyName, propertyValue, rem
         var props = {
 			enumerable: isEnumerable,
 			configurable: removable,
-			get: function() { return propertyValue; },
+			get: function()
+			{
+				ETO_Observable.noteRead(this, propertyName);
+				return propertyValue;
+			},
 			set: function(value)
             {
                 // If no change then return
@@ -239,6 +561,50 @@ ETO_Observable.prototype.addProperty = function(propertyName, propertyValue, rem
     return true;
 }
 
+// addPropertyObserver(propertyName, callbackFunc[, userData, thisForCallback])
+//
+// Adds an observer that is only called for changes to the property with the specified name. The 
+// callback receives the same details object as with addChangeObserver. When the change is part of 
+// a batch, the callback receives the change for this property from the batch, as if it had not 
+// been batched, with "changes" omitted. The returned observer handle can be passed to 
+// removeChangeObserver. Null is returned if the callback is not a function.
+ETO_Observable.prototype.addPropertyObserver = function(propertyName, callbackFunc, userData, thisForCallback)
+{
+	if (!(callbackFunc instanceof Function)) { return null; }
+	if (thisForCallback == undefined) { thisForCallback = this; }
+
+	propertyName = propertyName.toString();
+	var us = this;
+	var filterFunc = function(info)
+	{
+		if (!info.changes)
+		{
+			if (info.name === propertyName)
+				callbackFunc.call(thisForCallback, info);
+			return;
+		}
+
+		// Find the change to this property within the batch
+		for (var i = 0; i < info.changes.length; i++)
+		{
+			var change = info.changes[i];
+			if (change.object === us && change.name === propertyName)
+			{
+				callbackFunc.call(thisForCallback, {
+					"sender": info.sender,
+					"senders": change.senders.concat([]),
+					"object": us,
+					"name": propertyName,
+					"oldValue": change.oldValue,
+					"userData": info.userData
+				});
+				return;
+			}
+		}
+	};
+	return this.addChangeObserver(filterFunc, userData);
+}
+
 // Adds a non-configurable/non-removable property that can only be set 
 // by the returned setter function. Alls assignments to the property 
 // will be ignored. Only the returned setter function will set the 
@@ -284,7 +650,11 @@ ETO_Observable.prototype.addPropertyWithPrivateSet = function(
 	var props = {
 		"enumerable": isEnumerable,
 		"configurable": false,
-		"get": function() { return backingVar; }
+		"get": function()
+		{
+			ETO_Observable.noteRead(ownerObj, propertyName);
+			return backingVar;
+		}
 	};
 	Object.defineProperty(this, propertyName, props);
     
@@ -350,7 +720,11 @@ ETO_Observable.prototype.addPropertyWithSetFilter = function(propertyName, prope
 	var props = {
 		enumerable: isEnumerable,
 		configurable: removable,
-		get: function() { return propertyValue; },
+		get: function()
+		{
+			ETO_Observable.noteRead(us, propertyName);
+			return propertyValue;
+		},
 		set: function(value)
 		{
 			// First call the filter function
@@ -383,6 +757,187 @@ ETO_Observable.prototype.addROProperty = function(propertyName, propertyValue, i
 	return this.addProperty(propertyName, propertyValue, false, false, isEnumerable);
 }
 
+// batch(func[, thisArg])
+//
+// Calls func with beginBatch and endBatch wrapped around it, so that all property changes made by 
+// the function are delivered to observers as a single notification. The function is called with 
+// this object as its only argument and its return value is returned. The batch is ended even if 
+// the function throws.
+ETO_Observable.prototype.batch = function(func, thisArg)
+{
+	if (thisArg === undefined) { thisArg = this; }
+
+	this.beginBatch();
+	try
+	{
+		return func.call(thisArg, this);
+	}
+	finally
+	{
+		this.endBatch();
+	}
+}
+
+// beginBatch()
+//
+// Starts collecting change notifications instead of delivering them immediately. Every call must 
+// be matched by a call to endBatch. Batches can be nested, in which case the changes are delivered 
+// when the outermost batch ends. Repeated changes to the same property within a batch are merged 
+// into one change that keeps the original oldValue.
+ETO_Observable.prototype.beginBatch = function()
+{
+	this.m_batchDepth++;
+}
+
+// beginDispatch(changeDetails)
+//
+// Private function called at the start of delivering a notification. Pushes this object onto the 
+// dispatch stack and returns true, unless debug mode is on and the dispatch stack is already at the 
+// depth limit. In that case the error is reported as with observer errors (and thrown if there is 
+// no error handler), nothing is pushed and false is returned.
+ETO_Observable.prototype.beginDispatch = function(changeDetails)
+{
+	var debug = ETO_Observable.m_debugOptions;
+	if (debug && ETO_Observable.m_dispatchStack.length >= debug.maxDepth)
+	{
+		var error = new Error("Notification depth limit of " + debug.maxDepth + " exceeded while " + 
+			"notifying of a change to '" + changeDetails.name + "'. An observer is probably causing " + 
+			"a notification loop.");
+		if (!this.reportObserverError(error, changeDetails, null)) { throw error; }
+		return false;
+	}
+
+	ETO_Observable.m_dispatchStack.push(this);
+	return true;
+}
+Object.defineProperty(ETO_Observable.prototype, "beginDispatch",
+{ "value": ETO_Observable.prototype.beginDispatch });
+
+// bindProperty(propertyName, target, targetPropertyName[, options])
+//
+// Binds a property of this object to a property of another ETO_Observable. Returns a new 
+// ETO_PropertyBinding, which has a dispose() function to remove the binding. See 
+// ETO_PropertyBinding for details and options.
+ETO_Observable.prototype.bindProperty = function(propertyName, target, targetPropertyName, options)
+{
+	return new ETO_PropertyBinding(this, propertyName, target, targetPropertyName, options);
+}
+
+// callObserver(observerHandle, func, thisArg, details)
+//
+// Private function that calls an observer callback, catching any error it throws. A caught error 
+// is passed to the error handler. Returns null if the callback succeeded or the error was handled, 
+// otherwise an object whose "error" member is the unhandled error.
+ETO_Observable.prototype.callObserver = function(observerHandle, func, thisArg, details)
+{
+	try
+	{
+		func.call(thisArg, details);
+	}
+	catch (err)
+	{
+		if (!this.reportObserverError(err, details, observerHandle))
+			return { "error": err };
+	}
+	return null;
+}
+Object.defineProperty(ETO_Observable.prototype, "callObserver",
+{ "value": ETO_Observable.prototype.callObserver });
+
+// checkObserversChangeDuringDispatch(action, observerHandle)
+//
+// Private function called when an observer is added or removed. In debug mode, if this object is 
+// in the middle of notifying its observers, a diagnostic is reported to the error handler, or 
+// written to the console if there is no error handler. Observers added and removed by the library 
+// itself, through ETO_Observable.changeObserversInternally, are not reported.
+ETO_Observable.prototype.checkObserversChangeDuringDispatch = function(action, observerHandle)
+{
+	if (!ETO_Observable.m_debugOptions || ETO_Observable.m_internalObserverChangeDepth > 0) { return; }
+	if (ETO_Observable.m_dispatchStack.indexOf(this) == -1) { return; }
+
+	var diagnostic = new Error("Observer " + action + " while " + this.toString() + 
+		" was notifying its observers");
+	if (!this.reportObserverError(diagnostic, null, observerHandle) && typeof console !== "undefined")
+		console.warn(diagnostic.message);
+}
+Object.defineProperty(ETO_Observable.prototype, "checkObserversChangeDuringDispatch",
+{ "value": ETO_Observable.prototype.checkObserversChangeDuringDispatch });
+
+// endBatch()
+//
+// Ends a batch started with beginBatch. When the outermost batch ends and at least one change was 
+// collected, observers are notified once with a details object whose "changes" member is the array 
+// of collected changes. Returns false if no batch was open, true otherwise.
+ETO_Observable.prototype.endBatch = function()
+{
+	if (this.m_batchDepth === 0) { return false; }
+
+	this.m_batchDepth--;
+	if (this.m_batchDepth === 0 && this.m_batchChanges.length > 0)
+	{
+		this.notifyAll({ "object": this, "changes": this.m_batchChanges.splice(0) });
+	}
+	return true;
+}
+
+// flush()
+//
+// In asynchronous delivery mode, synchronously delivers all queued notifications, in order, and 
+// returns the number delivered. Notifications queued by observers during the flush are delivered 
+// by the same flush. Returns 0 in synchronous delivery mode. If an observer throws and there is no 
+// error handler, the error is thrown once that notification has been delivered, and the rest of 
+// the queue is scheduled to be flushed later. Flushes by the scheduler deliver the whole queue 
+// first, then pass the first such error to the error handler if there is one by then, or throw it 
+// from the scheduler callback otherwise.
+ETO_Observable.prototype.flush = function()
+{
+	var delivery = this.m_asyncDelivery;
+	if (!delivery) { return 0; }
+
+	var count = 0;
+	delivery.isScheduled = false;
+	try
+	{
+		while (delivery.pending.length > 0)
+		{
+			this.deliverToObservers(delivery.pending.shift());
+			count++;
+		}
+	}
+	finally
+	{
+		// Only left with pending notifications when an error was thrown
+		if (delivery.pending.length > 0 && this.m_asyncDelivery === delivery) { this.scheduleFlush(); }
+	}
+	return count;
+}
+
+// observerCount
+//
+// Read-only property with the number of observers currently attached to this object, including 
+// path observers. Useful for finding observers that are never removed.
+Object.defineProperty(ETO_Observable.prototype, "observerCount",
+{ "get": function() { return this.m_observers.length + this.m_pathObservers.length; } } );
+
+// once(callbackFunc[, userData, thisForCallback])
+//
+// Same as addChangeObserver, but the observer is removed right before it is called for the first 
+// time. The returned handle can be used to remove the observer before it has been called.
+ETO_Observable.prototype.once = function(callbackFunc, userData, thisForCallback)
+{
+	if (!(callbackFunc instanceof Function)) { return null; }
+	if (thisForCallback == undefined) { thisForCallback = this; }
+
+	// The removal happens during the notification, so it is exempt from the debug mode check
+	var us = this;
+	var handle = this.addChangeObserver(function(info)
+	{
+		ETO_Observable.changeObserversInternally(function() { us.removeChangeObserver(handle); });
+		callbackFunc.call(thisForCallback, info);
+	}, userData);
+	return handle;
+}
+
 // Notifies all observers of a property change. Mainly used internally inside 
 // ETO_Observable and inheriting classes. The changeDetails object must have 
 // "name" and "oldValue" members. If the object being changed is NOT 'this', 
@@ -402,23 +957,210 @@ ETO_Observable.prototype.notifyAll = function(changeDetails)
 	else
 	    changeDetails.senders.push(this);
 
-	for (var i = 0; i < this.m_observers.length; i++)
-    {
-        // Create a new change details object for each callback
-		var details = {
-			"sender": this,
-			"senders": changeDetails.senders.concat([]), // concat empty array to clone
-			"object": changeDetails.object,
-			"name": changeDetails.name,
-			"oldValue": changeDetails.oldValue,
-			"userData": this.m_observers[i].userData
-		};
-		
-		var func = this.m_observers[i].callbackFunction;
-        func.call(this.m_observers[i].callbackThis, details);
-    }
+	// While a batch is open, the change is stored and delivered later by endBatch
+	if (this.m_batchDepth > 0)
+	{
+		ETO_Observable.mergeBatchChange(this.m_batchChanges, changeDetails);
+		return;
+	}
+
+	// In asynchronous delivery mode, the change is queued and delivered later by flush
+	if (this.m_asyncDelivery)
+	{
+		this.queueNotification(changeDetails);
+		return;
+	}
+
+	this.deliverToObservers(changeDetails);
+}
+
+// deliverToObservers(changeDetails)
+//
+// Private function that calls every observer with its own copy of the change details, including 
+// any members other than the standard ones. Called by notifyAll and flush once "object" and 
+// "senders" have been filled in.
+ETO_Observable.prototype.deliverToObservers = function(changeDetails)
+{
+	if (!this.beginDispatch(changeDetails)) { return; }
+
+	// Iterate over a copy of the observer list, since observers may add or remove observers. Those 
+	// removed during the loop are skipped.
+	var observers = this.m_observers.concat([]);
+	var firstError = null;
+	try
+	{
+		for (var i = 0; i < observers.length; i++)
+	    {
+	    	if (this.m_observers.indexOf(observers[i]) == -1) { continue; }
+
+	        // Create a new change details object for each callback
+			var details = {
+				"sender": this,
+				"senders": changeDetails.senders.concat([]), // concat empty array to clone
+				"object": changeDetails.object,
+				"name": changeDetails.name,
+				"oldValue": changeDetails.oldValue,
+				"userData": observers[i].userData
+			};
+			if (changeDetails.changes)
+				details.changes = changeDetails.changes.concat([]);
+
+			// Other members, which describe notifications that are not property changes, are 
+			// copied as-is
+			for (var propName in changeDetails)
+			{
+				if (!(propName in details)) { details[propName] = changeDetails[propName]; }
+			}
+			
+			var error = this.callObserver(observers[i], observers[i].callbackFunction,
+				observers[i].callbackThis, details);
+			if (error && !firstError) { firstError = error; }
+	    }
+	}
+	finally
+	{
+		ETO_Observable.m_dispatchStack.pop();
+	}
+
+	// Errors without a handler are thrown once all observers have been called
+	if (firstError) { throw firstError.error; }
+}
+Object.defineProperty(ETO_Observable.prototype, "deliverToObservers",
+{ "value": ETO_Observable.prototype.deliverToObservers });
+
+// Stack of objects that are currently delivering notifications, innermost last
+Object.defineProperty(ETO_Observable, "m_dispatchStack", { "value": [] });
+
+// Depth of calls to ETO_Observable.changeObserversInternally
+Object.defineProperty(ETO_Observable, "m_internalObserverChangeDepth", { "value": 0, "writable": true });
+
+// ETO_Observable.changeObserversInternally(func)
+//
+// Private static function that calls func and returns its return value. Observers added and 
+// removed during the call are not reported by the debug mode check for observer changes during 
+// notifications. Used for the library's own observers, such as those of once, addPathObserver and 
+// addComputedProperty, which are expected to be removed or re-attached while notifications are 
+// delivered. Callers' code must not run inside func.
+ETO_Observable.changeObserversInternally = function(func)
+{
+	ETO_Observable.m_internalObserverChangeDepth++;
+	try
+	{
+		return func();
+	}
+	finally
+	{
+		ETO_Observable.m_internalObserverChangeDepth--;
+	}
+}
+Object.defineProperty(ETO_Observable, "changeObserversInternally",
+{ "value": ETO_Observable.changeObserversInternally });
+
+// Debug options, or null when debug mode is off. See ETO_Observable.setDebugMode.
+Object.defineProperty(ETO_Observable, "m_debugOptions", { "value": null, "writable": true });
+
+// Default handler for observer errors. See ETO_Observable.setDefaultObserverErrorHandler.
+Object.defineProperty(ETO_Observable, "m_defaultErrorHandler", { "value": null, "writable": true });
+
+// ETO_Observable.mergeBatchChange(changes, changeDetails)
+//
+// Static helper used by ETO_Observable and ETO_ObservableList to add a change to the array of 
+// changes collected during a batch, or to the queue of notifications in asynchronous delivery 
+// mode. Property changes to the same property of the same object are merged, keeping the oldValue 
+// and position of the first change. Property changes are those with only the "object", "name", 
+// "oldValue" and "senders" members, plus "listItem" and "index" when a list forwards the change of 
+// an item. All other changes, such as list changes and notifications with other members, are 
+// appended. Members "sender" and "userData" are not copied.
+ETO_Observable.mergeBatchChange = function(changes, changeDetails)
+{
+	var propertyChangeMembers = ["object", "name", "oldValue", "senders", "sender", "userData", 
+		"listItem", "index"];
+	var isPropertyChange = function(details)
+	{
+		for (var propName in details)
+		{
+			if (propertyChangeMembers.indexOf(propName) == -1) { return false; }
+		}
+		return true;
+	};
+
+	if (isPropertyChange(changeDetails))
+	{
+		for (var i = 0; i < changes.length; i++)
+		{
+			var existing = changes[i];
+			if (existing.object === changeDetails.object && existing.name === changeDetails.name &&
+				isPropertyChange(existing))
+			{
+				return;
+			}
+		}
+	}
+
+	var change = new Object();
+	for (var propName in changeDetails)
+	{
+		if (propName != "sender" && propName != "userData")
+			change[propName] = changeDetails[propName];
+	}
+	change.senders = changeDetails.senders.concat([]);
+	changes.push(change);
+}
+
+// Stack of dependency trackers used by computed properties (see addComputedProperty). Each tracker 
+// is an array of [object, propertyName] pairs that were read while it was on top of the stack.
+Object.defineProperty(ETO_Observable, "m_dependencyTrackers", { "value": [] });
+
+// ETO_Observable.noteRead(object, propertyName)
+//
+// Static function called by the getters of observable properties to record that the property was 
+// read. Does nothing unless a computed property is being evaluated. ETO_ObservableList records 
+// reads of its length as "length" and reads of its items as "items".
+ETO_Observable.noteRead = function(object, propertyName)
+{
+	var trackers = ETO_Observable.m_dependencyTrackers;
+	if (trackers.length === 0) { return; }
+
+	var tracker = trackers[trackers.length - 1];
+	for (var i = 0; i < tracker.length; i++)
+	{
+		if (tracker[i][0] === object && tracker[i][1] === propertyName) { return; }
+	}
+	tracker.push([object, propertyName]);
+}
+
+// queueNotification(changeDetails)
+//
+// Private function that adds a notification to the asynchronous delivery queue, merging it with a 
+// queued change to the same property, and schedules a flush if one is not already scheduled.
+ETO_Observable.prototype.queueNotification = function(changeDetails)
+{
+	ETO_Observable.mergeBatchChange(this.m_asyncDelivery.pending, changeDetails);
+	this.scheduleFlush();
+}
+Object.defineProperty(ETO_Observable.prototype, "queueNotification",
+{ "value": ETO_Observable.prototype.queueNotification });
+
+// reportObserverError(error, details, observerHandle)
+//
+// Private function that passes an error to this object's error handler, or to the default error 
+// handler if this object has none. Returns true if there was a handler, false otherwise. Errors 
+// thrown by the handler itself are not caught.
+ETO_Observable.prototype.reportObserverError = function(error, details, observerHandle)
+{
+	var handler = this.m_errorHandler ? this.m_errorHandler : ETO_Observable.m_defaultErrorHandler;
+	if (!handler) { return false; }
+
+	handler.call(this, error, details, observerHandle, this);
+	return true;
 }
+Object.defineProperty(ETO_Observable.prototype, "reportObserverError",
+{ "value": ETO_Observable.prototype.reportObserverError });
 
+// removeChangeObserver(observerHandle)
+//
+// Removes an observer added with addChangeObserver, addPropertyObserver or addPathObserver. Returns 
+// true if the observer was found and removed, false otherwise.
 ETO_Observable.prototype.removeChangeObserver = function(observerHandle)
 {
     for (var i = 0; i < this.m_observers.length; i++)
@@ -426,13 +1168,25 @@ ETO_Observable.prototype.removeChangeObserver = function(observerHandle)
         if (this.m_observers[i] == observerHandle)
         {
             this.m_observers.splice(i, 1);
+            this.checkObserversChangeDuringDispatch("removed", observerHandle);
             return true;
         }
     }
-    return false;
-}
 
-ETO_Observable.prototype.removeProperty = function(propertyName)
+    // Path observers are stored separately, along with the function that detaches them
+    for (var i = 0; i < this.m_pathObservers.length; i++)
+    {
+        if (this.m_pathObservers[i][0] == observerHandle)
+        {
+            this.m_pathObservers[i][1]();
+            this.m_pathObservers.splice(i, 1);
+            return true;
+        }
+    }
+    return false;
+}
+
+ETO_Observable.prototype.removeProperty = function(propertyName)
 {
     // If propertyName is omitted or null then return false
     if (propertyName === undefined || propertyName === null) { return false; }
@@ -454,6 +1208,17 @@ ETO_Observable.prototype.removeProperty = function(propertyName)
     	"oldValue": this[propertyName]
     };
     
+    // Computed properties stop observing their dependencies
+    for (var i = 0; i < this.m_computedProperties.length; i++)
+    {
+        if (this.m_computedProperties[i][0] === propertyName)
+        {
+            this.m_computedProperties[i][1]();
+            this.m_computedProperties.splice(i, 1);
+            break;
+        }
+    }
+    
     // Remove the property and invoke change callbacks
     delete this[propertyName];
     this.notifyAll(changeDetails);
@@ -461,20 +1226,152 @@ ETO_Observable.prototype.removeProperty = function(propertyName)
     return true;
 }
 
+// scheduleFlush()
+//
+// Private function that uses the scheduler to flush the asynchronous delivery queue later, unless 
+// a flush is already scheduled.
+ETO_Observable.prototype.scheduleFlush = function()
+{
+	var delivery = this.m_asyncDelivery;
+	if (delivery.isScheduled) { return; }
+
+	delivery.isScheduled = true;
+	var us = this;
+	delivery.scheduler(function()
+	{
+		// The delivery mode may have changed since scheduling
+		if (us.m_asyncDelivery !== delivery) { return; }
+
+		// An error thrown by flush stops it, so the rest of the queue is flushed here too. There is 
+		// no caller to throw the first error to, so it goes to the error handler, and is only 
+		// thrown from the scheduler callback if there is none.
+		var firstError = null;
+		while (us.m_asyncDelivery === delivery && delivery.pending.length > 0)
+		{
+			try
+			{
+				us.flush();
+			}
+			catch (err)
+			{
+				if (!firstError) { firstError = { "error": err }; }
+			}
+		}
+		if (firstError && !us.reportObserverError(firstError.error, null, null))
+			throw firstError.error;
+	});
+}
+Object.defineProperty(ETO_Observable.prototype, "scheduleFlush",
+{ "value": ETO_Observable.prototype.scheduleFlush });
+
+// ETO_Observable.scheduleMicrotask(callback)
+//
+// Default scheduler for asynchronous delivery mode. Calls the callback in a microtask if promises 
+// are available, or with a zero-delay timeout otherwise.
+ETO_Observable.scheduleMicrotask = function(callback)
+{
+	if (typeof Promise !== "undefined")
+		Promise.resolve().then(callback);
+	else
+		setTimeout(callback, 0);
+}
+
 ETO_Observable.prototype.seal = function()
 {
 	Object.seal(this);
 }
 
-// Provides default serialization for ETO_Observable objects. Only serializes enumerable properties.
-ETO_Observable.prototype.toJSON = function()
+// ETO_Observable.setDebugMode(enabled[, maxDepth])
+//
+// Turns debug mode on or off for all ETO_Observable and ETO_ObservableList objects. In debug mode:
+// - Adding or removing an observer on an object while that object is notifying its observers is 
+//   reported as a diagnostic Error to the error handler, or written to the console with 
+//   console.warn if there is no error handler. The observer handle is passed, but no details.
+// - When notifications are nested more than maxDepth levels deep (default 100), which usually 
+//   means that observers are changing values in a loop, the notification is not delivered and an 
+//   Error is reported to the error handler, or thrown if there is no error handler.
+ETO_Observable.setDebugMode = function(enabled, maxDepth)
 {
-	if (this.m_simpleSerialize)
-		return this;
+	if (!enabled)
+	{
+		ETO_Observable.m_debugOptions = null;
+		return;
+	}
 
-	// ETO_Observable objects are serialized into an object with 1 member: ETO_Observable_SerializedData.
-	// The ETO_Observable_SerializedData property is an array of objects, each of which is a property 
-	// descriptor with the following members: name, value, enumerable, writable, configurable, varType
+	if (typeof maxDepth !== "number" || maxDepth < 1) { maxDepth = 100; }
+	ETO_Observable.m_debugOptions = { "maxDepth": maxDepth };
+}
+
+// ETO_Observable.setDefaultObserverErrorHandler(handler)
+//
+// Sets the error handler used by objects that don't have their own (see setObserverErrorHandler). 
+// Pass null to remove it.
+ETO_Observable.setDefaultObserverErrorHandler = function(handler)
+{
+	ETO_Observable.m_defaultErrorHandler = (handler instanceof Function) ? handler : null;
+}
+
+// setDeliveryMode(mode[, scheduler])
+//
+// Sets how change notifications are delivered to observers. The 'mode' parameter is one of:
+//
+// "sync" (the default):
+//   Observers are called during the change, before the setter returns.
+//
+// "async":
+//   Notifications are queued and delivered later, when the queue is flushed. Changes to the same 
+//   property that are queued before a flush are merged into one notification with the original 
+//   oldValue, at the position of the first change. Otherwise notifications are delivered in the 
+//   order they occurred. The optional 'scheduler' parameter is a function that takes a callback 
+//   function and arranges for it to be called later. It is called once per flush that needs 
+//   scheduling. If omitted, ETO_Observable.scheduleMicrotask is used. The flush function can be 
+//   called to deliver queued notifications immediately, for example in tests.
+//
+// Switching from "async" to "sync" flushes queued notifications first. Returns false if the mode 
+// or scheduler is invalid, true otherwise.
+ETO_Observable.prototype.setDeliveryMode = function(mode, scheduler)
+{
+	if (mode == "sync")
+	{
+		this.flush();
+		this.m_asyncDelivery = null;
+		return true;
+	}
+	if (mode != "async") { return false; }
+
+	if (scheduler === undefined) { scheduler = ETO_Observable.scheduleMicrotask; }
+	if (!(scheduler instanceof Function)) { return false; }
+
+	// Keep queued notifications if already in asynchronous mode
+	var pending = this.m_asyncDelivery ? this.m_asyncDelivery.pending : [];
+	this.m_asyncDelivery = { "scheduler": scheduler, "pending": pending, "isScheduled": false };
+	if (pending.length > 0) { this.scheduleFlush(); }
+	return true;
+}
+
+// setObserverErrorHandler(handler)
+//
+// Sets the function that is called when an observer of this object throws. The handler is called 
+// with this object as 'this' and the arguments (error, details, observerHandle, sender), where 
+// details is the details object passed to the observer and sender is this object. The remaining 
+// observers are notified either way. Pass null to remove the handler.
+//
+// If neither this object nor ETO_Observable.setDefaultObserverErrorHandler has provided a handler, 
+// the first error thrown by an observer is re-thrown after all observers have been notified.
+ETO_Observable.prototype.setObserverErrorHandler = function(handler)
+{
+	this.m_errorHandler = (handler instanceof Function) ? handler : null;
+}
+
+// serializeProperties()
+//
+// Returns an array of property descriptors for the enumerable properties of this object. Each 
+// descriptor is an object with the members: name, value, enumerable, writable, configurable, 
+// varType. The varType member is the type id from ETO_Observable.serializeValue, and the value is 
+// the serialized form of the property value. Each descriptor can be passed to 
+// addDeserializedProperty to re-create the property.
+ETO_Observable.prototype.serializeProperties = function()
+{
 	var arr = new Array();
 
 	// Iterate through enumerable properties only
@@ -489,7 +1386,6 @@ ETO_Observable.prototype.toJSON = function()
 		// Build the details object
 		var details = new Object();
 		details.name = name;
-		details.value = this[name];
 		details.enumerable = desc.enumerable;
 		if (desc.hasOwnProperty("set"))
 		{
@@ -509,20 +1405,28 @@ ETO_Observable.prototype.toJSON = function()
 		}
 		details.configurable = desc.configurable;
 
-		// Make a string for the property type
-		var typeName = typeof(this[name]);
-		if (typeName == "object")
-		{
-			// Non-primitive type, so use constructor name as type name
-			typeName = "" + this[name].constructor.name;
-		}
-		details.varType = typeName;
+		// Get the type id and serialized form of the value
+		var serialized = ETO_Observable.serializeValue(this[name]);
+		details.value = serialized.value;
+		details.varType = serialized.varType;
 
 		// Add the details object to the array
 		arr.push(details);
 	}
 
-	return { "ETO_Observable_SerializedData": arr};
+	return arr;
+}
+
+// Provides default serialization for ETO_Observable objects. Only serializes enumerable properties.
+ETO_Observable.prototype.toJSON = function()
+{
+	if (this.m_simpleSerialize)
+		return this;
+
+	// ETO_Observable objects are serialized into an object with 1 member: ETO_Observable_SerializedData.
+	// The ETO_Observable_SerializedData property is an array of property descriptors from 
+	// serializeProperties.
+	return { "ETO_Observable_SerializedData": this.serializeProperties() };
 }
 
 ETO_Observable.prototype.toString = function()
@@ -530,6 +1434,289 @@ ETO_Observable.prototype.toString = function()
     return "[object ETO_Observable]";
 }
 
+// tryAddDeserializedProperty(propDesc)
+//
+// Same as addDeserializedProperty, but returns an ETO_Result. On failure, such as when varType is 
+// not a registered type id, the message explains why and the property is not added.
+ETO_Observable.prototype.tryAddDeserializedProperty = function(propDesc)
+{
+	var opName = "ETO_Observable.tryAddDeserializedProperty";
+	if (propDesc === null || typeof propDesc !== "object")
+		return new ETO_Result(false, "Property descriptor must be an object", opName);
+
+	// Re-create the value
+	var valueResult = ETO_Observable.deserializeValue(propDesc.varType, propDesc.value);
+	if (!valueResult.success)
+	{
+		return new ETO_Result(false, "Could not deserialize property '" + propDesc.name + "': " + 
+			valueResult.message, opName);
+	}
+
+	// Add the property
+	var added = this.addProperty(
+	    propDesc.name, valueResult.value, propDesc.configurable, propDesc.writable, 
+	    propDesc.enumerable);
+	if (!added)
+	{
+		return new ETO_Result(false, "Could not add property '" + propDesc.name + 
+			"' because the name is invalid or already in use", opName);
+	}
+	return new ETO_Result(true, "Added property '" + propDesc.name + "'", opName);
+}
+
+// Type registry used for serialization of non-primitive property values. Each entry is an object 
+// with the members "typeId", "constructor", "serialize" and "deserialize". See 
+// ETO_Observable.registerType.
+Object.defineProperty(ETO_Observable, "m_typeRegistry", { "value": [] });
+
+// ETO_Observable.deserialize(data[, simpleSerialize])
+//
+// Re-creates an object from the output of toJSON when not using simple serialization, that is, an 
+// object with the 'ETO_Observable_SerializedData' member, such as the result of JSON.parse. The 
+// 'simpleSerialize' parameter is passed on to the constructor. Returns an ETO_Result which, on 
+// success, has a "value" member with the new object. On failure, such as when a property's type 
+// is not registered, the message explains why and the "errors" member is the array from the 
+// deserializationResult of the object, which is not returned.
+ETO_Observable.deserialize = function(data, simpleSerialize)
+{
+	var opName = "ETO_Observable.deserialize";
+	if (data === null || typeof data !== "object" || !(data.ETO_Observable_SerializedData instanceof Array))
+		return new ETO_Result(false, "Expected an object with an ETO_Observable_SerializedData array", opName);
+
+	// The constructor skips the properties that fail
+	var obj = new ETO_Observable(data, simpleSerialize);
+	var result;
+	if (!obj.deserializationResult.success)
+	{
+		result = new ETO_Result(false, obj.deserializationResult.message, opName);
+		result.errors = obj.deserializationResult.errors;
+		return result;
+	}
+	result = new ETO_Result(true, "Deserialized object", opName);
+	result.value = obj;
+	return result;
+}
+
+// ETO_Observable.deserializeValue(varType, data)
+//
+// Re-creates a value from a type id and serialized data, as produced by ETO_Observable.serializeValue. 
+// The primitive type ids "string", "number", "boolean", "undefined" and "null" are handled directly. 
+// All other type ids must have been registered with ETO_Observable.registerType. 
+// Returns an ETO_Result which, on success, has a "value" member with the re-created value.
+ETO_Observable.deserializeValue = function(varType, data)
+{
+	var opName = "ETO_Observable.deserializeValue";
+	var result;
+
+	// Primitive types are taken as-is
+	if (varType == "string" || varType == "boolean" || varType == "number" || varType == "undefined")
+	{
+		if (typeof data !== varType)
+			return new ETO_Result(false, "Value is not of type '" + varType + "'", opName);
+		result = new ETO_Result(true, "Deserialized value of type '" + varType + "'", opName);
+		result.value = data;
+		return result;
+	}
+	if (varType == "null")
+	{
+		result = new ETO_Result(true, "Deserialized null value", opName);
+		result.value = null;
+		return result;
+	}
+
+	var entry = ETO_Observable.findRegisteredType(varType);
+	if (!entry)
+		return new ETO_Result(false, "Unknown type '" + varType + "'", opName);
+
+	// Deserializers report failure by throwing
+	try
+	{
+		var value = entry.deserialize(data);
+	}
+	catch (err)
+	{
+		return new ETO_Result(false, "Type '" + varType + "' failed to deserialize: " + 
+			(err instanceof Error ? err.message : err), opName);
+	}
+	result = new ETO_Result(true, "Deserialized value of type '" + varType + "'", opName);
+	result.value = value;
+	return result;
+}
+
+// ETO_Observable.findRegisteredType(typeIdOrValue)
+//
+// Returns the registry entry for a type id string, or for the type of a non-primitive value, or null 
+// if there is no such entry. A value matches an entry when the value's prototype is exactly the 
+// prototype of the entry's constructor, so instances of unregistered subclasses do not match.
+ETO_Observable.findRegisteredType = function(typeIdOrValue)
+{
+	var registry = ETO_Observable.m_typeRegistry;
+	if (typeof typeIdOrValue === "string")
+	{
+		for (var i = 0; i < registry.length; i++)
+		{
+			if (registry[i].typeId === typeIdOrValue)
+				return registry[i];
+		}
+		return null;
+	}
+
+	if (typeIdOrValue === null || typeof typeIdOrValue !== "object") { return null; }
+	var proto = Object.getPrototypeOf(typeIdOrValue);
+	for (var i = 0; i < registry.length; i++)
+	{
+		if (registry[i].constructor && registry[i].constructor.prototype === proto)
+			return registry[i];
+	}
+	return null;
+}
+
+// ETO_Observable.registerType(typeId, constructorOrSpec)
+//
+// Registers a type for serialization under a stable type id string, which is what gets stored as 
+// the "varType" in serialized property descriptors. The second parameter is either:
+// - A constructor function. Values are serialized as-is (JSON serialization applies) and are 
+//   re-created by calling the constructor with 'new' and the serialized data as the only argument.
+// - An object with the members "constructor" (used to recognize values when serializing; may be 
+//   omitted for deserialize-only types), "serialize" (optional function that takes a value and 
+//   returns JSON-compatible data) and "deserialize" (function that takes the data and returns the 
+//   value, throwing an Error on failure).
+//
+// The primitive type ids "string", "number", "boolean", "undefined" and "null" are reserved. The 
+// built-in type ids are "Object", "Array", "Date", "String", "Number", "Boolean", "ETO_Observable" 
+// and "ETO_ObservableList". 
+// Returns true on success, false if the type id is reserved, already registered, or the 
+// parameters are invalid.
+ETO_Observable.registerType = function(typeId, constructorOrSpec)
+{
+	if (typeof typeId !== "string" || typeId.length === 0) { return false; }
+	if (typeId == "string" || typeId == "number" || typeId == "boolean" || typeId == "undefined" ||
+		typeId == "null") { return false; }
+	if (ETO_Observable.findRegisteredType(typeId)) { return false; }
+
+	var entry;
+	if (constructorOrSpec instanceof Function)
+	{
+		var ctor = constructorOrSpec;
+		entry = {
+			"typeId": typeId,
+			"constructor": ctor,
+			"serialize": null,
+			"deserialize": function(data) { return new ctor(data); }
+		};
+	}
+	else if (constructorOrSpec && constructorOrSpec.deserialize instanceof Function)
+	{
+		entry = {
+			"typeId": typeId,
+			"constructor": (constructorOrSpec.constructor instanceof Function &&
+				constructorOrSpec.hasOwnProperty("constructor")) ? constructorOrSpec.constructor : null,
+			"serialize": (constructorOrSpec.serialize instanceof Function) ? constructorOrSpec.serialize : null,
+			"deserialize": constructorOrSpec.deserialize
+		};
+	}
+	else { return false; }
+
+	Object.freeze(entry);
+	ETO_Observable.m_typeRegistry.push(entry);
+	return true;
+}
+
+// ETO_Observable.serializeValue(value)
+//
+// Returns an object with the members "varType" and "value", where varType is the type id of the 
+// value and value is the serialized form of the value. Primitive values have their typeof string 
+// (or "null") as the type id and are serialized as-is. Other values use the registered type 
+// matching the value. A value of an unregistered type is left as-is with its constructor name as 
+// varType, which deserializeValue will report as an unknown type unless it gets registered.
+ETO_Observable.serializeValue = function(value)
+{
+	if (value === null) { return { "varType": "null", "value": null }; }
+	if (typeof value !== "object") { return { "varType": typeof value, "value": value }; }
+
+	var entry = ETO_Observable.findRegisteredType(value);
+	if (!entry)
+	{
+		var ctorName = (value.constructor instanceof Function) ? value.constructor.name : "";
+		return { "varType": "" + ctorName, "value": value };
+	}
+	return {
+		"varType": entry.typeId,
+		"value": entry.serialize ? entry.serialize(value) : value
+	};
+}
+
+// ETO_Observable.unregisterType(typeId)
+//
+// Removes a type registered with ETO_Observable.registerType. Returns true if it was found.
+ETO_Observable.unregisterType = function(typeId)
+{
+	var registry = ETO_Observable.m_typeRegistry;
+	for (var i = 0; i < registry.length; i++)
+	{
+		if (registry[i].typeId === typeId)
+		{
+			registry.splice(i, 1);
+			return true;
+		}
+	}
+	return false;
+}
+
+// Built-in types. Plain objects and arrays are taken as-is. Dates and the wrapper objects of 
+// primitives are re-created with their constructors, as property values of any global type were 
+// before the registry existed, so that data saved then still loads. Nested ETO_Observable objects are 
+// serialized as arrays of property descriptors so that writability, removability and 
+// enumerability survive the round-trip. ETO_ObservableList items are serialized with their type ids.
+ETO_Observable.registerType("Object", {
+	"constructor": Object,
+	"deserialize": function(data) { return data; }
+});
+ETO_Observable.registerType("Array", {
+	"constructor": Array,
+	"deserialize": function(data) { return data; }
+});
+ETO_Observable.registerType("Date", Date);
+ETO_Observable.registerType("String", String);
+ETO_Observable.registerType("Number", Number);
+ETO_Observable.registerType("Boolean", Boolean);
+ETO_Observable.registerType("ETO_Observable", {
+	"constructor": ETO_Observable,
+	"serialize": function(obj) { return obj.serializeProperties(); },
+	"deserialize": function(data)
+	{
+		if (!(data instanceof Array)) { throw new Error("Expected an array of property descriptors"); }
+
+		var obj = new ETO_Observable(null, false);
+		for (var i = 0; i < data.length; i++)
+		{
+			var result = obj.tryAddDeserializedProperty(data[i]);
+			if (!result.success) { throw new Error(result.message); }
+		}
+		return obj;
+	}
+});
+ETO_Observable.registerType("ETO_ObservableList", {
+	"constructor": ETO_ObservableList,
+	"serialize": function(list)
+	{
+		return list.toArray().map(ETO_Observable.serializeValue);
+	},
+	"deserialize": function(data)
+	{
+		if (!(data instanceof Array)) { throw new Error("Expected an array of items"); }
+
+		var list = new ETO_ObservableList();
+		for (var i = 0; i < data.length; i++)
+		{
+			var result = ETO_Observable.deserializeValue(data[i].varType, data[i].value);
+			if (!result.success) { throw new Error("Item " + i + ": " + result.message); }
+			if (!list.add(result.value)) { throw new Error("Item " + i + " was rejected by the list"); }
+		}
+		return list;
+	}
+});
+
 // ----------------------------------------------------------
 
 // ETO_ObservableList([options])
@@ -537,15 +1724,39 @@ ETO_Observable.prototype.toString = function()
 // parameter is provided, it will be expected to be an object with one or more of the following 
 // members:
 //
-// "addValidator": function(item)
-//   Reference to a function object that is called for each item attempting to be added to the list. If 
-//   the function returns true for the specified item, then it will be permitted to be added to the list, 
-//   otherwise the addition of the item to the list will be rejected.
+// "addValidator": function(item, index)
+//   Reference to a function object that is called for each item attempting to be added to the list, 
+//   including items replacing other items. If the function returns true (or a successful ETO_Result) 
+//   for the specified item, then it will be permitted to be added to the list, otherwise the addition 
+//   of the item to the list will be rejected. The index is where the item would be.
 //   If a additional validation function is not provided, then any item will be allowed to be added to 
 //   the list.
 //
+// "replaceValidator": function(newItem, oldItem, index)
+//   Same as addValidator, but called when an item replaces another one at the same index, after the 
+//   new item has passed the addition validator. This is the case for index assignments 
+//   (list[index] = newItem), setAt, "replace" edits, and the items that replaceRange and splice 
+//   put in place of other items.
+//
+// "removeValidator": function(item, index)
+//   Same as addValidator, but called for each item attempting to be removed from the list.
+//
+// "itemType": constructor function
+//   If provided, only instances of this type (as with the instanceof operator) can be added to the 
+//   list.
+//
 // "objectToCopy" (Array or ETO_ObservableList):
 //   Object to copy contents from.
+//
+// "indexProperties" (bool):
+//   If false, the list does not define an index property for each item, so items can only be 
+//   accessed with functions such as at and setAt, not as list[index]. This keeps memory use and the 
+//   cost of adding and removing items down for very large lists. Defaults to true.
+//
+// A validator can return an ETO_Result with a message explaining why an item is rejected. When a 
+// change is rejected, the failed ETO_Result is stored in the list's non-enumerable 
+// "lastValidationResult" property (which is null until then). Changes of multiple items are all or 
+// nothing: if any item is rejected, no change is made.
 function ETO_ObservableList(options)
 {
     // Define the "private" (non-enumerable) storage array that stores each item as a tuple of the form:
@@ -568,12 +1779,47 @@ function ETO_ObservableList(options)
     };
     Object.defineProperty(this, "m_observers", observersProps);
 
+    // Initialize batching state (same as ETO_Observable)
+    Object.defineProperty(this, "m_batchDepth", { "value": 0, "writable": true });
+    Object.defineProperty(this, "m_batchChanges", { "value": [] });
+
+    // Initialize asynchronous delivery state (same as ETO_Observable)
+    Object.defineProperty(this, "m_asyncDelivery", { "value": null, "writable": true });
+
+    // Handler for errors thrown by observers (same as ETO_Observable)
+    Object.defineProperty(this, "m_errorHandler", { "value": null, "writable": true });
+
     // If an addition validation function was provided then store it
     if (options && options.addValidator instanceof Function)
     {
     	Object.defineProperty(this, "m_addValidator", { "value": options.addValidator });
     }
 
+    // Likewise for the replacement and removal validators and the item type
+    if (options && options.replaceValidator instanceof Function)
+    {
+    	Object.defineProperty(this, "m_replaceValidator", { "value": options.replaceValidator });
+    }
+    if (options && options.removeValidator instanceof Function)
+    {
+    	Object.defineProperty(this, "m_removeValidator", { "value": options.removeValidator });
+    }
+    if (options && options.itemType instanceof Function)
+    {
+    	Object.defineProperty(this, "m_itemType", { "value": options.itemType });
+    }
+
+    // The failed ETO_Result of the most recent rejected change
+    Object.defineProperty(this, "lastValidationResult", { "value": null, "writable": true });
+
+    // True while applyEdits applies an edit that it has already validated. See validateChange.
+    Object.defineProperty(this, "m_isPrevalidated", { "value": false, "writable": true });
+
+    // Whether index properties are defined for items
+    Object.defineProperty(this, "m_hasIndexProperties", {
+    	"value": !(options && options.indexProperties === false)
+    });
+
     // If the options contain an object to copy that has a "length" member, then copy
     if (options && options.objectToCopy && "length" in options.objectToCopy)
     {
@@ -585,8 +1831,10 @@ function ETO_ObservableList(options)
 // add(item[, insertionIndex])
 // Function that adds as item to the list and, if successful, notifies observers after the add completes.
 // The insertionIndex parameter is optional. If undefined, the item will be added to the end of the list.
-// If defined but not a valid integer index in the range [0,length], no change is made to the list and
-// false is returned. On success, true is returned.
+// If defined but not a valid integer index in the range [0,length], or if the item is rejected by 
+// validation, no change is made to the list and false is returned. On success, true is returned.
+// The failed ETO_Result of a rejection by validation is stored in lastValidationResult. Use tryAdd 
+// to get it as the return value instead.
 ETO_ObservableList.prototype.add = function(item, insertionIndex)
 {
     if (insertionIndex === undefined)
@@ -601,45 +1849,32 @@ ETO_ObservableList.prototype.add = function(item, insertionIndex)
         if (insertionIndex < 0 || insertionIndex > this.m_storage.length) { return false; }
     }
 
-    // If there is an addition validator, then use it
-    if (this.m_addValidator)
-    {
-    	if (this.m_addValidator(item) !== true) { return false; }
-    }
+    // Check the item type and the addition validator
+    if (this.validateChange("add", item, insertionIndex)) { return false; }
     
-    // If the item is ETO_Observable, then add a property-change observer
-    var observerHandle = null;
-    if (item instanceof ETO_Observable)
-    {
-    	// The way ETO_Observable is implemented, it gives the callback an info/details object 
-    	// that is "ours", so we can change a few properties and forward it to our observers.
-
-        var us = this;
-        var itemChangeCallback = function(info)
-        {
-            info.listItem = item;
-            info.index = insertionIndex;
-            us.notifyObservers(info);
-        };
-        observerHandle = item.addChangeObserver(itemChangeCallback, this);
-    }
+    // Make the storage entry and, if the item is ETO_Observable, add a property-change observer
+    var entry = [item, null];
+    entry[1] = this.observeItem(entry);
     
     // Add the item to the array
     if (insertionIndex == this.m_storage.length)
     {
         // Add to end
-        this.m_storage.push([item, observerHandle]);
+        this.m_storage.push(entry);
     }
     else
     {
         // Insert at index
-        this.m_storage.splice(insertionIndex, 0, [item, observerHandle]);
+        this.m_storage.splice(insertionIndex, 0, entry);
     }
     
     // Add/reset the properties for all necessary indices that have changed
-    for (var i = insertionIndex; i < this.m_storage.length; i++)
+    if (this.m_hasIndexProperties)
     {
-        this.makeIndexProperty.call(this, i);
+        for (var i = insertionIndex; i < this.m_storage.length; i++)
+        {
+            this.makeIndexProperty.call(this, i);
+        }
     }
     
     // Notify observers
@@ -672,14 +1907,33 @@ ETO_ObservableList.prototype.add = function(item, insertionIndex)
 //
 // "listChangeType":
 //   Present only if an item is being added to, removed from, or replaced in this list. Value is
-//   "add", "remove", or "replace" in those cases, respectively.
+//   "add", "remove", or "replace" in those cases, respectively. For the range functions 
+//   (addRange, insertRange, removeRange and replaceRange), the value is "addRange", "removeRange" 
+//   or "replaceRange", and there is one notification for the whole range.
 //
 // "index":
 //   Numerical index of item associated with event. May refer to an item in the list that has been
-//   altered in the case of removals.
+//   altered in the case of removals. For range changes, the index of the first affected item. For 
+//   changes to items in the list, the current index of the item ("listItem" is the item itself).
+//
+// "permutation":
+//   Present only when items are reordered, in which case "listChangeType" is "move" (for the move 
+//   function) or "reorder" (for reorder, reverse and sort). An array with an entry for each item, 
+//   where permutation[oldIndex] is the new index of the item that was at oldIndex. For "move", the 
+//   "index" is the new index of the moved item and "oldIndex" is its previous index. No items are 
+//   added or removed by a reorder, and observers of the items stay attached.
+//
+// "oldItems" and "newItems":
+//   Present only for range changes. Arrays of the items that were removed from and inserted into 
+//   the list at "index", respectively. Either may be empty.
 //
 // "userData":
 //   The same userData item that was passed when adding this observer.
+//
+// "changes":
+//   Present only when the notification is the result of a batch (see beginBatch and endBatch). This 
+//   is an array of change objects with the members described above, minus "sender" and "userData". 
+//   Changes to items in the list are only included for observers that want item changes.
 ETO_ObservableList.prototype.addChangeObserver = function(callbackFunc, userData, wantsItemChangesToo)
 {
 	// Setup default value if need be
@@ -697,32 +1951,173 @@ ETO_ObservableList.prototype.addChangeObserver = function(callbackFunc, userData
 
         // Store the observer handle and then return it
         this.m_observers.push(observerHandle);
+        this.checkObserversChangeDuringDispatch("added", observerHandle);
         return observerHandle;
     }
     return null;
 }
 
+// addRange(items)
+//
+// Adds an array (or array-like object) of items to the end of the list with a single "addRange" 
+// notification. Same as insertRange(length, items).
+ETO_ObservableList.prototype.addRange = function(items)
+{
+	return this.insertRange(this.m_storage.length, items);
+}
+
+// applyEdits(edits)
+//
+// Applies an edit script, as returned by reconcile, to the list. The edits are applied in order 
+// with the normal list functions, so observers get the usual notifications: "remove" edits use 
+// remove, "insert" edits use add, "move" edits use move and "replace" edits use setAt. 
+// Each index must be valid for the list as it is at that point in the script and every inserted, 
+// replaced and removed item must pass validation (see the ETO_ObservableList constructor). 
+// Otherwise no change is made and false is returned. On success, true is returned.
+ETO_ObservableList.prototype.applyEdits = function(edits)
+{
+	var isIndex = function(index, limit)
+	{
+		return typeof index === "number" && index % 1 === 0 && index >= 0 && index < limit;
+	};
+
+	// Check the whole script first, on a copy of the items, so that the change is all or nothing
+	var items = this.toArray();
+	for (var i = 0; i < edits.length; i++)
+	{
+		var edit = edits[i];
+		var index = edit.index;
+		if (edit.type == "insert")
+		{
+			if (!isIndex(index, items.length + 1) || this.validateChange("add", edit.item, index))
+				return false;
+			items.splice(index, 0, edit.item);
+		}
+		else if (edit.type == "remove")
+		{
+			if (!isIndex(index, items.length) || this.validateChange("remove", items[index], index))
+				return false;
+			items.splice(index, 1);
+		}
+		else if (edit.type == "move")
+		{
+			if (!isIndex(edit.fromIndex, items.length) || !isIndex(edit.toIndex, items.length))
+				return false;
+			items.splice(edit.toIndex, 0, items.splice(edit.fromIndex, 1)[0]);
+		}
+		else if (edit.type == "replace")
+		{
+			if (!isIndex(index, items.length)) { return false; }
+			if (items[index] !== edit.item && 
+				this.validateChange("replace", edit.item, index, items[index])) { return false; }
+			items[index] = edit.item;
+		}
+		else { return false; }
+	}
+
+	// Each edit was validated above, so the validation of the list function is skipped
+	for (var i = 0; i < edits.length; i++)
+	{
+		var edit = edits[i];
+		this.m_isPrevalidated = (edit.type != "move");
+		try
+		{
+			if (edit.type == "insert") { this.add(edit.item, edit.index); }
+			else if (edit.type == "remove") { this.remove(edit.index, 1); }
+			else if (edit.type == "move") { this.move(edit.fromIndex, edit.toIndex); }
+			else { this.setAt(edit.index, edit.item); }
+		}
+		finally
+		{
+			this.m_isPrevalidated = false;
+		}
+	}
+	return true;
+}
+
+// applyPermutation(permutation, changeDetails)
+//
+// Private function that moves each item from its index i to the index permutation[i], then sends 
+// the notification in changeDetails with "permutation", "object" and "name" members added. The 
+// permutation must already be valid. Returns false, without notifying, if no item moved.
+ETO_ObservableList.prototype.applyPermutation = function(permutation, changeDetails)
+{
+	var storage = this.m_storage;
+	var oldEntries = storage.concat([]);
+	var firstMoved = -1;
+	for (var i = 0; i < oldEntries.length; i++)
+	{
+		var newIndex = permutation[i];
+		storage[newIndex] = oldEntries[i];
+		if (newIndex === i) { continue; }
+
+		if (firstMoved == -1) { firstMoved = Math.min(i, newIndex); }
+		else { firstMoved = Math.min(firstMoved, newIndex); }
+	}
+	if (firstMoved == -1) { return false; }
+
+	// The index properties read from storage by index and item observers look up the current 
+	// index of their storage entry, so neither needs to change
+	changeDetails.permutation = permutation.concat([]);
+	changeDetails.object = this;
+	if (!("index" in changeDetails)) { changeDetails.index = firstMoved; }
+	changeDetails.name = changeDetails.index.toString();
+	this.notifyObservers(changeDetails);
+	return true;
+}
+Object.defineProperty(ETO_ObservableList.prototype, "applyPermutation",
+{ "value": ETO_ObservableList.prototype.applyPermutation });
+
 // at(index)
 //
 // Function that returns the item at the specified index in the list, or undefined if the index is
 // out of range.
 ETO_ObservableList.prototype.at = function(index)
 {
+    ETO_Observable.noteRead(this, "items");
     if (typeof index == "undefined" || index < 0 || index >= this.m_storage.length)
         return undefined;
     return this.m_storage[index][0];
 }
 
+// batch(func[, thisArg])
+//
+// Same as ETO_Observable.batch, but for the list.
+ETO_ObservableList.prototype.batch = ETO_Observable.prototype.batch;
+
+// beginBatch()
+//
+// Starts collecting change notifications for this list, including forwarded item changes, instead 
+// of delivering them immediately. Same semantics as ETO_Observable.beginBatch.
+ETO_ObservableList.prototype.beginBatch = ETO_Observable.prototype.beginBatch;
+
 ETO_ObservableList.prototype.clear = function()
 {
     this.remove(0, this.length);
 }
 
+// endBatch()
+//
+// Ends a batch started with beginBatch. When the outermost batch ends, the collected changes are 
+// delivered as a single notification with a "changes" array. Returns false if no batch was open.
+ETO_ObservableList.prototype.endBatch = function()
+{
+	if (this.m_batchDepth === 0) { return false; }
+
+	this.m_batchDepth--;
+	if (this.m_batchDepth === 0 && this.m_batchChanges.length > 0)
+	{
+		this.notifyObservers({ "object": this, "changes": this.m_batchChanges.splice(0) });
+	}
+	return true;
+}
+
 // every(callback[, thisArg])
 //
 // Returns true if every element in the list satisfies the callback predicate, false otherwise.
 ETO_ObservableList.prototype.every = function(callback, thisArg)
 {
+	ETO_Observable.noteRead(this, "items");
 	if (!thisArg) { thisArg = this; }
 
 	for (var i = 0; i < this.m_storage.length; i++)
@@ -737,6 +2132,7 @@ ETO_ObservableList.prototype.every = function(callback, thisArg)
 
 ETO_ObservableList.prototype.filter = function(predicate, predicateThis)
 {
+	ETO_Observable.noteRead(this, "items");
 	// Set the default if predicateThis is undefined
 	if (typeof predicateThis === "undefined")
 		predicateThis = this;
@@ -752,6 +2148,25 @@ ETO_ObservableList.prototype.filter = function(predicate, predicateThis)
     return result;
 }
 
+// flush()
+//
+// Same as ETO_Observable.flush, but for the list.
+ETO_ObservableList.prototype.flush = ETO_Observable.prototype.flush;
+
+// findIndex(predicate[, thisArg])
+//
+// Same as Array.prototype.findIndex. Returns the index of the first item for which 
+// predicate(item, index, list) returns a truthy value, or -1 if there is none.
+ETO_ObservableList.prototype.findIndex = function(predicate, thisArg)
+{
+	ETO_Observable.noteRead(this, "items");
+	for (var i = 0; i < this.m_storage.length; i++)
+	{
+		if (predicate.call(thisArg, this.m_storage[i][0], i, this)) { return i; }
+	}
+	return -1;
+}
+
 // first(predicate[, startIndex])
 //
 // Function that goes through items in the list, in order, returning the first one that satisfies the
@@ -792,6 +2207,7 @@ ETO_ObservableList.prototype.first = function(predicate, startIndex)
 //    function are ignored.
 ETO_ObservableList.prototype.forEach = function(callback, thisArg, startIndex)
 {
+    ETO_Observable.noteRead(this, "items");
     var stride = 1;
     var terminationToken = new Object();
     
@@ -806,6 +2222,26 @@ ETO_ObservableList.prototype.forEach = function(callback, thisArg, startIndex)
     }
 }
 
+// includes(item[, fromIndex])
+//
+// Same as Array.prototype.includes. Returns true if the list has the item at or after fromIndex 
+// (which defaults to 0 and counts from the end if negative). Unlike indexOf, NaN is found.
+ETO_ObservableList.prototype.includes = function(item, fromIndex)
+{
+	ETO_Observable.noteRead(this, "items");
+	var length = this.m_storage.length;
+	var start = (fromIndex === undefined) ? 0 : Math.floor(Number(fromIndex));
+	if (isNaN(start)) { start = 0; }
+	if (start < 0) { start = Math.max(length + start, 0); }
+
+	for (var i = start; i < length; i++)
+	{
+		var listItem = this.m_storage[i][0];
+		if (listItem === item || (listItem !== listItem && item !== item)) { return true; }
+	}
+	return false;
+}
+
 // indexOf(item[, startIndex])
 //
 // Returns the index of the item in this list or -1 if not found.
@@ -825,12 +2261,36 @@ ETO_ObservableList.prototype.indexOf = function(item, startIndex)
     return result;
 }
 
-ETO_ObservableList.prototype.last = function(predicate, startIndex)
+// insertRange(index, items)
+//
+// Inserts an array (or array-like object) of items at the specified index with a single "addRange" 
+// notification. The index must be an integer in the range [0,length] and every item must pass 
+// addition validation. Otherwise no change is made and false is returned. On success, true is 
+// returned.
+ETO_ObservableList.prototype.insertRange = function(index, items)
 {
-    var item = undefined;
-    
-    // Use foreach with our custom callback
-    var callback = function(listItem, index, listObj, token)
+	if (!this.isValidRangeStart(index, true) || !items || !("length" in items)) { return false; }
+	return this.replaceItems(index, 0, items, "addRange");
+}
+
+// isValidRangeStart(index, allowEnd)
+//
+// Private function that returns true if the index is an integer in the range [0,length-1], or 
+// [0,length] if allowEnd is true.
+ETO_ObservableList.prototype.isValidRangeStart = function(index, allowEnd)
+{
+	if (typeof index !== "number" || index % 1 !== 0 || index < 0) { return false; }
+	return allowEnd ? (index <= this.m_storage.length) : (index < this.m_storage.length);
+}
+Object.defineProperty(ETO_ObservableList.prototype, "isValidRangeStart",
+{ "value": ETO_ObservableList.prototype.isValidRangeStart });
+
+ETO_ObservableList.prototype.last = function(predicate, startIndex)
+{
+    var item = undefined;
+    
+    // Use foreach with our custom callback
+    var callback = function(listItem, index, listObj, token)
     {
         if (predicate(listItem, index, listObj) === true)
         {
@@ -847,7 +2307,11 @@ ETO_ObservableList.prototype.last = function(predicate, startIndex)
 //
 // Read-only property that gets the length of the list
 Object.defineProperty(ETO_ObservableList.prototype, "length",
-{ "enumerable": true, "get": function() { return this.m_storage.length; } } );
+{ "enumerable": true, "get": function()
+{
+	ETO_Observable.noteRead(this, "length");
+	return this.m_storage.length;
+} } );
 
 // makeIndexProperty(index)
 //
@@ -860,56 +2324,98 @@ ETO_ObservableList.prototype.makeIndexProperty = function(index)
     var indexProps = {
         "enumerable": true,
         "configurable": true,
-        "get": function() { return storage[index][0]; },
-        "set": function(newItem)
+        "get": function()
         {
-        	// Get the existing item
-	    	var item = this.m_storage[index];
-
-	    	// One special case for the exact same item
-	    	if (item[0] === newItem)
-	    		return;
-
-	    	// If the existing item is an ETO_Observable object, the change 
-            // observer must be removed.
-            if (item[1])
-		    	item[0].removeChangeObserver(item[1]);
-        	
-            // What's happening is a replacement of the form: theList[x] = y
-            // This means the "x" property of the list is changing, so the change
-            // details are constructed accordingly.
-            var changeDetails = {
-                "name": index.toString(),
-                "object": owningList,
-                "listChangeType": "replace",
-                "index": index,
-                "oldValue": item[0]
-            };
-            
-            // Set the item and add an observer if necessary
-            storage[index][0] = newItem;
-            if (newItem instanceof ETO_Observable)
-            {
-		        var itemChangeCallback = function(info)
-		        {
-		            info.listItem = newItem;
-		            info.index = index;
-		            owningList.notifyObservers(info);
-		        };
-            	storage[index][1] = newItem.addChangeObserver(itemChangeCallback, this);
-            }
-            else
-            	storage[index][1] = null;
-
-            // Notify of the change
-            owningList.notifyObservers(changeDetails);
-        }
+            ETO_Observable.noteRead(owningList, "items");
+            return storage[index][0];
+        },
+        "set": function(newItem) { owningList.setAt(index, newItem); }
     };
     Object.defineProperty(this, index.toString(), indexProps);
 }
 Object.defineProperty(ETO_ObservableList.prototype, "makeIndexProperty",
 { "value": ETO_ObservableList.prototype.makeIndexProperty });
 
+// map(callback[, thisArg])
+//
+// Same as Array.prototype.map. Returns a new array with the result of callback(item, index, list) 
+// for each item.
+ETO_ObservableList.prototype.map = function(callback, thisArg)
+{
+	ETO_Observable.noteRead(this, "items");
+	var result = new Array(this.m_storage.length);
+	for (var i = 0; i < this.m_storage.length; i++)
+		result[i] = callback.call(thisArg, this.m_storage[i][0], i, this);
+	return result;
+}
+
+// move(fromIndex, toIndex)
+//
+// Moves the item at fromIndex so that it ends up at toIndex, shifting the items in between, with a 
+// single "move" notification. Both indices must be in the range [0,length-1], or else no change is 
+// made and false is returned. Returns true on success, including when the indices are equal, in 
+// which case there is no notification.
+ETO_ObservableList.prototype.move = function(fromIndex, toIndex)
+{
+	if (!this.isValidRangeStart(fromIndex, false) || !this.isValidRangeStart(toIndex, false))
+		return false;
+	if (fromIndex === toIndex) { return true; }
+
+	// Build the permutation: the item moves and the ones in between shift by one toward fromIndex
+	var permutation = [];
+	for (var i = 0; i < this.m_storage.length; i++)
+	{
+		if (i === fromIndex) { permutation.push(toIndex); }
+		else if (fromIndex < toIndex && i > fromIndex && i <= toIndex) { permutation.push(i - 1); }
+		else if (fromIndex > toIndex && i >= toIndex && i < fromIndex) { permutation.push(i + 1); }
+		else { permutation.push(i); }
+	}
+
+	return this.applyPermutation(permutation, {
+		"listChangeType": "move",
+		"index": toIndex,
+		"oldIndex": fromIndex
+	});
+}
+
+// observerCount
+//
+// Read-only property with the number of observers currently attached to this list.
+Object.defineProperty(ETO_ObservableList.prototype, "observerCount",
+{ "get": function() { return this.m_observers.length; } } );
+
+// observeItem(entry)
+//
+// Private function that adds an observer to the ETO_Observable item in a storage entry, which 
+// forwards the item's change notifications to this list's observers with "listItem" and "index" 
+// members added. The index is looked up from the entry's current position in storage when the 
+// notification is forwarded, so it stays correct as items are added, removed and moved before it. 
+// The lookup is a linear search of storage, so each forwarded item change costs O(n) in the length 
+// of the list. Returns the observer handle, or null if the item is not an ETO_Observable.
+ETO_ObservableList.prototype.observeItem = function(entry)
+{
+    var item = entry[0];
+    if (!(item instanceof ETO_Observable)) { return null; }
+
+	// The way ETO_Observable is implemented, it gives the callback an info/details object 
+	// that is "ours", so we can change a few properties and forward it to our observers.
+    var us = this;
+    var itemChangeCallback = function(info)
+    {
+        // An entry no longer in storage has been removed, but its observer can still be called 
+        // for a notification that was already being delivered
+        var index = us.m_storage.indexOf(entry);
+        if (index == -1) { return; }
+
+        info.listItem = item;
+        info.index = index;
+        us.notifyObservers(info);
+    };
+    return item.addChangeObserver(itemChangeCallback, this);
+}
+Object.defineProperty(ETO_ObservableList.prototype, "observeItem",
+{ "value": ETO_ObservableList.prototype.observeItem });
+
 // notifyObservers(changeDetails)
 //
 // Function that that notifies all observers in the m_observers list. The details object
@@ -927,40 +2433,303 @@ ETO_ObservableList.prototype.notifyObservers = function(changeDetails)
     // Otherwise add "this" to the existing array
     else
         changeDetails.senders.push(this);
-    
-    for (var i = 0; i < this.m_observers.length; i++)
+
+    // While a batch is open, the change is stored and delivered later by endBatch
+    if (this.m_batchDepth > 0)
     {
-    	var obs = this.m_observers[i];
+    	ETO_Observable.mergeBatchChange(this.m_batchChanges, changeDetails);
+    	return;
+    }
 
-    	// If the object is not this list and this particular observer did not want to
-    	// be notified of such events, then skip.
-    	if (changeDetails.object !== this && !obs.observesItemChanges)
-    	    continue;
+    // In asynchronous delivery mode, the change is queued and delivered later by flush
+    if (this.m_asyncDelivery)
+    {
+    	this.queueNotification(changeDetails);
+    	return;
+    }
 
-    	// Make a deep copy of the details object, then set the "sender" and "userData" values
-    	var detailsCopy = new Object();
-    	for (var propName in changeDetails)
-    	{
-            if (propName != "sender" && propName != "senders")
-                detailsCopy[propName] = changeDetails[propName];
-    	}
-    	detailsCopy.sender = this;
-        detailsCopy.senders = changeDetails.senders.concat([]); // concat empty array to clone
-    	detailsCopy.userData = obs.userData;
-    	obs.callback.call(this, detailsCopy);
+    this.deliverToObservers(changeDetails);
+}
+
+// deliverToObservers(changeDetails)
+//
+// Private function that calls every observer that wants the change with its own copy of the 
+// change details. Called by notifyObservers and flush once "object" and "senders" have been 
+// filled in.
+ETO_ObservableList.prototype.deliverToObservers = function(changeDetails)
+{
+    if (!this.beginDispatch(changeDetails)) { return; }
+
+    // Iterate over a copy of the observer list, since observers may add or remove observers. Those 
+    // removed during the loop are skipped.
+    var observers = this.m_observers.concat([]);
+    var firstError = null;
+    try
+    {
+        for (var i = 0; i < observers.length; i++)
+        {
+        	var obs = observers[i];
+        	if (this.m_observers.indexOf(obs) == -1) { continue; }
+
+        	// If the object is not this list and this particular observer did not want to
+        	// be notified of such events, then skip.
+        	if (changeDetails.object !== this && !obs.observesItemChanges)
+        	    continue;
+
+        	// Likewise, item changes are removed from a batch for such observers
+        	var changes = changeDetails.changes;
+        	if (changes && !obs.observesItemChanges)
+        	{
+        		var us = this;
+        		changes = changes.filter(function(change) { return change.object === us; });
+        		if (changes.length === 0) { continue; }
+        	}
+
+        	// Make a deep copy of the details object, then set the "sender" and "userData" values
+        	var detailsCopy = new Object();
+        	for (var propName in changeDetails)
+        	{
+                if (propName != "sender" && propName != "senders")
+                    detailsCopy[propName] = changeDetails[propName];
+        	}
+        	detailsCopy.sender = this;
+            detailsCopy.senders = changeDetails.senders.concat([]); // concat empty array to clone
+        	detailsCopy.userData = obs.userData;
+        	if (changes)
+        		detailsCopy.changes = changes.concat([]);
+
+        	var error = this.callObserver(obs, obs.callback, this, detailsCopy);
+        	if (error && !firstError) { firstError = error; }
+        }
+    }
+    finally
+    {
+        ETO_Observable.m_dispatchStack.pop();
     }
+
+    // Errors without a handler are thrown once all observers have been called
+    if (firstError) { throw firstError.error; }
+}
+Object.defineProperty(ETO_ObservableList.prototype, "deliverToObservers",
+{ "value": ETO_ObservableList.prototype.deliverToObservers });
+
+// once(callbackFunc[, userData, wantsItemChangesToo])
+//
+// Same as addChangeObserver, but the observer is removed right before it is called for the first 
+// time. The returned handle can be used to remove the observer before it has been called.
+ETO_ObservableList.prototype.once = function(callbackFunc, userData, wantsItemChangesToo)
+{
+	if (!(callbackFunc instanceof Function)) { return null; }
+
+	// The removal happens during the notification, so it is exempt from the debug mode check
+	var us = this;
+	var handle = this.addChangeObserver(function(info)
+	{
+		ETO_Observable.changeObserversInternally(function() { us.removeChangeObserver(handle); });
+		callbackFunc.call(us, info);
+	}, userData, wantsItemChangesToo);
+	return handle;
 }
 
 // push: (same as "add" function)
 ETO_ObservableList.prototype.push = ETO_ObservableList.prototype.add;
 
+// Private functions shared with ETO_Observable
+Object.defineProperty(ETO_ObservableList.prototype, "beginDispatch",
+{ "value": ETO_Observable.prototype.beginDispatch });
+Object.defineProperty(ETO_ObservableList.prototype, "callObserver",
+{ "value": ETO_Observable.prototype.callObserver });
+Object.defineProperty(ETO_ObservableList.prototype, "checkObserversChangeDuringDispatch",
+{ "value": ETO_Observable.prototype.checkObserversChangeDuringDispatch });
+Object.defineProperty(ETO_ObservableList.prototype, "reportObserverError",
+{ "value": ETO_Observable.prototype.reportObserverError });
+
+// queueNotification and scheduleFlush: (private, same as ETO_Observable)
+Object.defineProperty(ETO_ObservableList.prototype, "queueNotification",
+{ "value": ETO_Observable.prototype.queueNotification });
+Object.defineProperty(ETO_ObservableList.prototype, "scheduleFlush",
+{ "value": ETO_Observable.prototype.scheduleFlush });
+
+// reduce(callback[, initialValue])
+//
+// Same as Array.prototype.reduce. Calls callback(accumulator, item, index, list) for each item, in 
+// order, where the accumulator is the return value of the previous call. The first accumulator is 
+// initialValue if provided, otherwise the first item, in which case the calls start with the 
+// second item. Returns the last accumulator. Throws a TypeError if the list is empty and there is 
+// no initial value.
+ETO_ObservableList.prototype.reduce = function(callback, initialValue)
+{
+	ETO_Observable.noteRead(this, "items");
+	var storage = this.m_storage;
+	var i = 0;
+	var accumulator = initialValue;
+	if (arguments.length < 2)
+	{
+		if (storage.length === 0)
+			throw new TypeError("Reduce of empty list with no initial value");
+		accumulator = storage[0][0];
+		i = 1;
+	}
+
+	for (; i < storage.length; i++)
+		accumulator = callback(accumulator, storage[i][0], i, this);
+	return accumulator;
+}
+
+// reconcile(newArray[, keyFn, computeOnly])
+//
+// Changes the list so that its contents match the items in 'newArray' (an array or array-like 
+// object), with a small number of individual changes instead of replacing everything, so that 
+// observers can update only what actually changed. Items are matched by the key that keyFn(item) 
+// returns for them, or by identity if keyFn is not provided. Duplicate keys are matched in order.
+//
+// Returns the edit script, which is an array of edit objects to apply in order, with these members:
+//   "type": "remove", "insert", "move" or "replace"
+//   "index": For all types but "move", the index of the item that is removed, inserted or replaced
+//   "fromIndex" and "toIndex": For "move", the same as the parameters of the move function
+//   "item": The item that is removed, inserted, moved or put in place by a replacement
+//   "oldItem": For "replace", the item that is replaced
+//
+// Old items without a matching new item are removed first, then matched items that are out of 
+// order are moved (as few as possible) and new items without a match are inserted, then matched 
+// items that are not identical to their new item (which is only possible with a key function) are 
+// replaced with it. If 'computeOnly' is true, the edit script is only returned and the list is not 
+// changed. Otherwise it is applied with applyEdits, with one notification for each edit, and null 
+// is returned instead if it can't be applied because an item is rejected by validation.
+ETO_ObservableList.prototype.reconcile = function(newArray, keyFn, computeOnly)
+{
+	var newItems = Array.prototype.slice.call(newArray);
+	var oldItems = this.toArray();
+	var getKey = (keyFn instanceof Function) ? keyFn : function(item) { return item; };
+
+	// Index the old items by key. String and number keys go in a dictionary of arrays of indices, 
+	// other keys are searched for linearly.
+	var keyIndices = Object.create(null);
+	var otherKeys = [];
+	var otherIndices = [];
+	for (var i = 0; i < oldItems.length; i++)
+	{
+		var key = getKey(oldItems[i]);
+		if (typeof key === "string" || typeof key === "number")
+		{
+			var dictKey = typeof key + ":" + key;
+			if (!keyIndices[dictKey]) { keyIndices[dictKey] = []; }
+			keyIndices[dictKey].push(i);
+		}
+		else
+		{
+			otherKeys.push(key);
+			otherIndices.push(i);
+		}
+	}
+
+	// Match each new item to the first unmatched old item with the same key. sourceOf[newIndex] is 
+	// the old index, or -1 for new items, and targetOf[oldIndex] is the new index, or -1 for items 
+	// being removed.
+	var sourceOf = new Array(newItems.length);
+	var targetOf = [];
+	for (var i = 0; i < oldItems.length; i++) { targetOf.push(-1); }
+	for (var i = 0; i < newItems.length; i++)
+	{
+		var key = getKey(newItems[i]);
+		sourceOf[i] = -1;
+		if (typeof key === "string" || typeof key === "number")
+		{
+			var indices = keyIndices[typeof key + ":" + key];
+			if (indices && indices.length > 0) { sourceOf[i] = indices.shift(); }
+		}
+		else
+		{
+			var otherIndex = otherKeys.indexOf(key);
+			if (otherIndex != -1)
+			{
+				sourceOf[i] = otherIndices[otherIndex];
+				otherKeys.splice(otherIndex, 1);
+				otherIndices.splice(otherIndex, 1);
+			}
+		}
+		if (sourceOf[i] != -1) { targetOf[sourceOf[i]] = i; }
+	}
+
+	// Remove unmatched old items from the end, so that the indices of earlier ones stay valid
+	var edits = [];
+	var work = [];
+	for (var i = oldItems.length - 1; i >= 0; i--)
+	{
+		if (targetOf[i] == -1)
+			edits.push({ "type": "remove", "index": i, "item": oldItems[i] });
+		else
+			work.unshift(targetOf[i]);
+	}
+
+	// The remaining items are now in 'work', identified by their new index. The longest increasing 
+	// subsequence of those can stay where they are. tails[k] is the position in 'work' of the 
+	// smallest value ending an increasing subsequence of length k + 1.
+	var tails = [];
+	var previous = [];
+	for (var i = 0; i < work.length; i++)
+	{
+		var low = 0;
+		var high = tails.length;
+		while (low < high)
+		{
+			var mid = Math.floor((low + high) / 2);
+			if (work[tails[mid]] < work[i]) { low = mid + 1; }
+			else { high = mid; }
+		}
+		previous.push(low > 0 ? tails[low - 1] : -1);
+		tails[low] = i;
+	}
+	var stays = [];
+	for (var i = 0; i < newItems.length; i++) { stays.push(false); }
+	for (var i = tails.length ? tails[tails.length - 1] : -1; i != -1; i = previous[i])
+		stays[work[i]] = true;
+
+	// Going backwards through the new items, move or insert each one in front of the item after it
+	for (var i = newItems.length - 1; i >= 0; i--)
+	{
+		if (stays[i]) { continue; }
+
+		var anchor = (i + 1 < newItems.length) ? work.indexOf(i + 1) : work.length;
+		if (sourceOf[i] == -1)
+		{
+			work.splice(anchor, 0, i);
+			edits.push({ "type": "insert", "index": anchor, "item": newItems[i] });
+			continue;
+		}
+
+		var fromIndex = work.indexOf(i);
+		var toIndex = (fromIndex < anchor) ? anchor - 1 : anchor;
+		if (fromIndex == toIndex) { continue; }
+		work.splice(fromIndex, 1);
+		work.splice(toIndex, 0, i);
+		edits.push({ "type": "move", "fromIndex": fromIndex, "toIndex": toIndex,
+			"item": oldItems[sourceOf[i]] });
+	}
+
+	// Replace matched items that aren't the same object
+	for (var i = 0; i < newItems.length; i++)
+	{
+		if (sourceOf[i] == -1 || oldItems[sourceOf[i]] === newItems[i]) { continue; }
+		edits.push({ "type": "replace", "index": i, "item": newItems[i],
+			"oldItem": oldItems[sourceOf[i]] });
+	}
+
+	if (computeOnly === true) { return edits; }
+	return this.applyEdits(edits) ? edits : null;
+}
+
 // remove(startIndex[, count])
 //
 // Removes a range of items given a starting index and count. The starting index must be 
 // in the range [0,length-1], or else no action will be taken and 0 will be returned. 
 // On success, the number of items removed is returned. 
 // The 'count' parameter is optional and defaults to 1. If provided, count must be a 
-// positive integer value.
+// positive integer value. If any of the items is rejected by the removal validator, none are 
+// removed, 0 is returned and the failed ETO_Result is stored in lastValidationResult.
+// Observers get one "remove" notification per item, in order. The "index" of each is the index the 
+// item had before the call, and "startIndex" is the startIndex of the call, which is where each of 
+// the items was when removed one after the other.
 ETO_ObservableList.prototype.remove = function(startIndex, count)
 {
     // Set default for count if undefined
@@ -977,20 +2746,32 @@ ETO_ObservableList.prototype.remove = function(startIndex, count)
         count = this.length - startIndex;
     }
 
+    // Check each item against the removal validator first, so that the change is all or nothing
+    for (var i = startIndex; i < startIndex + count; i++)
+    {
+        if (this.validateChange("remove", this.m_storage[i][0], i)) { return 0; }
+    }
+
     // Remove index properties for all items from starting index to end. Even though some 
     // of these items are not being removed, index properites will need to be redefined.
-    for (var i = startIndex; i < this.length; i++)
+    if (this.m_hasIndexProperties)
     {
-        delete this[i.toString()];
+        for (var i = startIndex; i < this.length; i++)
+        {
+            delete this[i.toString()];
+        }
     }
 
     // Splice out the items we're removing
     var removed = this.m_storage.splice(startIndex, count);
 
     // Re-create index properties for items still in the list at or after the start
-    for (var i = startIndex; i < this.length; i++)
+    if (this.m_hasIndexProperties)
     {
-        this.makeIndexProperty(i);
+        for (var i = startIndex; i < this.length; i++)
+        {
+            this.makeIndexProperty(i);
+        }
     }
 
     // For each removed object, remove our change observer if we had one, then notify all 
@@ -1010,7 +2791,8 @@ ETO_ObservableList.prototype.remove = function(startIndex, count)
 	        "oldValue": item[0],
             "object": this,
 	        "listChangeType": "remove",
-	        "index": i + startIndex
+	        "index": i + startIndex,
+	        "startIndex": startIndex
 	    };
 	    this.notifyObservers(details);
     }
@@ -1018,6 +2800,21 @@ ETO_ObservableList.prototype.remove = function(startIndex, count)
     return removed.length;
 }
 
+// removeRange(startIndex, count)
+//
+// Removes up to 'count' items starting at startIndex with a single "removeRange" notification. 
+// The starting index must be in the range [0,length-1] and count must be positive, or else no 
+// action is taken and 0 is returned. If any of the items is rejected by the removal validator, none 
+// are removed and 0 is returned. Otherwise returns the number of items removed.
+ETO_ObservableList.prototype.removeRange = function(startIndex, count)
+{
+	if (!this.isValidRangeStart(startIndex, false) || !(count > 0)) { return 0; }
+	if (startIndex + count > this.m_storage.length) { count = this.m_storage.length - startIndex; }
+
+	if (!this.replaceItems(startIndex, count, [], "removeRange")) { return 0; }
+	return count;
+}
+
 ETO_ObservableList.prototype.removeChangeObserver = function(observerHandle)
 {
     for (var i = 0; i < this.m_observers.length; i++)
@@ -1025,6 +2822,7 @@ ETO_ObservableList.prototype.removeChangeObserver = function(observerHandle)
         if (this.m_observers[i] == observerHandle)
         {
             this.m_observers.splice(i, 1);
+            this.checkObserversChangeDuringDispatch("removed", observerHandle);
             return true;
         }
     }
@@ -1042,6 +2840,231 @@ ETO_ObservableList.prototype.removeLast = function()
     return this.remove(this.m_storage.length - 1) == 1;
 }
 
+// replaceItems(index, count, items, listChangeType)
+//
+// Private function that replaces 'count' items at 'index' with the items in the 'items' array, 
+// updates index properties once, and sends a single range notification. The index and count 
+// must already be valid. Items overwritten by new items at the same index are validated as 
+// replacements, as with setAt, and the rest as removals and additions. Returns false, without 
+// making any change, if an item is rejected by validation.
+ETO_ObservableList.prototype.replaceItems = function(index, count, items, listChangeType)
+{
+	var newItems = Array.prototype.slice.call(items);
+
+	// Validate all items first, so that the change is all or nothing
+	var replacedCount = Math.min(count, newItems.length);
+	for (var i = 0; i < replacedCount; i++)
+	{
+		var oldItem = this.m_storage[index + i][0];
+		if (newItems[i] !== oldItem && 
+			this.validateChange("replace", newItems[i], index + i, oldItem)) { return false; }
+	}
+	for (var i = replacedCount; i < count; i++)
+	{
+		if (this.validateChange("remove", this.m_storage[index + i][0], index + i)) { return false; }
+	}
+	for (var i = replacedCount; i < newItems.length; i++)
+	{
+		if (this.validateChange("add", newItems[i], index + i)) { return false; }
+	}
+
+	// Make the storage entries for the new items and splice them in
+	var oldLength = this.m_storage.length;
+	var newEntries = [];
+	for (var i = 0; i < newItems.length; i++)
+	{
+		var entry = [newItems[i], null];
+		entry[1] = this.observeItem(entry);
+		newEntries.push(entry);
+	}
+	var removed = this.m_storage.splice.apply(this.m_storage, [index, count].concat(newEntries));
+
+	// Stop observing removed items
+	var oldItems = [];
+	for (var i = 0; i < removed.length; i++)
+	{
+		if (removed[i][1]) { removed[i][0].removeChangeObserver(removed[i][1]); }
+		oldItems.push(removed[i][0]);
+	}
+
+	// The index properties read from storage by index, so only the ones past the end of the 
+	// shorter of the old and new lists need to be added or deleted
+	var newLength = this.m_storage.length;
+	if (this.m_hasIndexProperties)
+	{
+		for (var i = newLength; i < oldLength; i++)
+			delete this[i.toString()];
+		for (var i = oldLength; i < newLength; i++)
+			this.makeIndexProperty(i);
+	}
+
+	this.notifyObservers({
+		"listChangeType": listChangeType,
+		"index": index,
+		"object": this,
+		"name": index.toString(),
+		"oldItems": oldItems,
+		"newItems": newItems
+	});
+	return true;
+}
+Object.defineProperty(ETO_ObservableList.prototype, "replaceItems",
+{ "value": ETO_ObservableList.prototype.replaceItems });
+
+// replaceRange(startIndex, count, items)
+//
+// Replaces up to 'count' items starting at startIndex with the items in the 'items' array (or 
+// array-like object), with a single "replaceRange" notification. The number of new items does 
+// not need to match the count. The starting index must be in the range [0,length] and count must 
+// not be negative. Items overwritten by a new item at the same index must pass replacement 
+// validation, as with setAt, other replaced items must pass removal validation and other new items 
+// must pass addition validation. Otherwise no change is made and false is returned. On success, 
+// true is returned.
+ETO_ObservableList.prototype.replaceRange = function(startIndex, count, items)
+{
+	if (!this.isValidRangeStart(startIndex, true) || !(count >= 0)) { return false; }
+	if (!items || !("length" in items)) { return false; }
+	if (startIndex + count > this.m_storage.length) { count = this.m_storage.length - startIndex; }
+
+	return this.replaceItems(startIndex, count, items, "replaceRange");
+}
+
+// reorder(permutation)
+//
+// Reorders the items with a single "reorder" notification. The permutation is an array with an 
+// entry for each item, where permutation[oldIndex] is the index that the item at oldIndex is moved 
+// to. Returns false, without making any change, if the permutation does not contain each index in 
+// [0,length-1] exactly once. Otherwise returns true, with no notification if no item moved.
+ETO_ObservableList.prototype.reorder = function(permutation)
+{
+	if (!permutation || permutation.length !== this.m_storage.length) { return false; }
+
+	var seen = [];
+	for (var i = 0; i < permutation.length; i++)
+	{
+		var index = permutation[i];
+		if (!this.isValidRangeStart(index, false) || seen[index]) { return false; }
+		seen[index] = true;
+	}
+
+	this.applyPermutation(Array.prototype.slice.call(permutation), { "listChangeType": "reorder" });
+	return true;
+}
+
+// reverse()
+//
+// Reverses the order of the items with a single "reorder" notification. Returns this list.
+ETO_ObservableList.prototype.reverse = function()
+{
+	var permutation = [];
+	for (var i = this.m_storage.length - 1; i >= 0; i--)
+		permutation.push(i);
+	this.applyPermutation(permutation, { "listChangeType": "reorder" });
+	return this;
+}
+
+// setAt(index, newItem)
+//
+// Replaces the item at the index, with a "replace" notification. This is what assigning to an index 
+// property (list[index] = item) does, and is the way to replace items in a list without index 
+// properties. Returns false if the index is not in the range [0,length-1] or the item is rejected 
+// by validation, otherwise true, with no notification if the item is already at the index.
+// The failed ETO_Result of a rejection by validation is stored in lastValidationResult.
+ETO_ObservableList.prototype.setAt = function(index, newItem)
+{
+	if (!this.isValidRangeStart(index, false)) { return false; }
+
+	// Get the existing item
+	var item = this.m_storage[index];
+
+	// One special case for the exact same item
+	if (item[0] === newItem)
+		return true;
+
+	// Rejected replacements leave the item as it is
+	if (this.validateChange("replace", newItem, index, item[0]))
+		return false;
+
+	// If the existing item is an ETO_Observable object, the change 
+	// observer must be removed.
+	if (item[1])
+		item[0].removeChangeObserver(item[1]);
+
+	// What's happening is a replacement of the form: theList[x] = y
+	// This means the "x" property of the list is changing, so the change
+	// details are constructed accordingly.
+	var changeDetails = {
+		"name": index.toString(),
+		"object": this,
+		"listChangeType": "replace",
+		"index": index,
+		"oldValue": item[0]
+	};
+
+	// Set the item and add an observer if necessary
+	item[0] = newItem;
+	item[1] = this.observeItem(item);
+
+	// Notify of the change
+	this.notifyObservers(changeDetails);
+	return true;
+}
+
+// setDeliveryMode(mode[, scheduler])
+//
+// Same as ETO_Observable.setDeliveryMode, but for the list. Forwarded item changes are queued 
+// along with the list's own changes.
+ETO_ObservableList.prototype.setDeliveryMode = ETO_Observable.prototype.setDeliveryMode;
+
+// setObserverErrorHandler(handler)
+//
+// Same as ETO_Observable.setObserverErrorHandler, but for the list.
+ETO_ObservableList.prototype.setObserverErrorHandler = ETO_Observable.prototype.setObserverErrorHandler;
+
+// some(predicate[, thisArg])
+//
+// Same as Array.prototype.some. Returns true if predicate(item, index, list) returns a truthy value 
+// for at least one item, false otherwise.
+ETO_ObservableList.prototype.some = function(predicate, thisArg)
+{
+	return this.findIndex(predicate, thisArg) != -1;
+}
+
+// sort([compareFn])
+//
+// Sorts the items with a single "reorder" notification, or no notification if the order doesn't 
+// change. The compare function works the same as with Array.prototype.sort. If omitted, items are 
+// sorted by their string values. The sort is stable, meaning that items that compare as equal 
+// keep their relative order. Returns this list.
+ETO_ObservableList.prototype.sort = function(compareFn)
+{
+	if (!(compareFn instanceof Function))
+	{
+		compareFn = function(a, b)
+		{
+			a = String(a);
+			b = String(b);
+			return (a < b) ? -1 : ((a > b) ? 1 : 0);
+		};
+	}
+
+	// Sort [item, oldIndex] pairs, using the old index to break ties
+	var pairs = [];
+	for (var i = 0; i < this.m_storage.length; i++)
+		pairs.push([this.m_storage[i][0], i]);
+	pairs.sort(function(a, b)
+	{
+		var result = compareFn(a[0], b[0]);
+		return (result < 0 || result > 0) ? result : a[1] - b[1];
+	});
+
+	var permutation = new Array(pairs.length);
+	for (var i = 0; i < pairs.length; i++)
+		permutation[pairs[i][1]] = i;
+	this.applyPermutation(permutation, { "listChangeType": "reorder" });
+	return this;
+}
+
 // splice(startIndex[, deleteCount])
 //
 // Parameter specification copied directly from MDN's array.splice documentation on May 11, 2018:
@@ -1063,6 +3086,11 @@ ETO_ObservableList.prototype.removeLast = function()
 // "item1", "item2", ... (optional):
 //   The elements to add to the array, beginning at the start index. If you don't specify any 
 //   elements, splice() will only remove elements from the array.
+//
+// Returns an array of the removed items. The change is made with a single "addRange", 
+// "removeRange" or "replaceRange" notification (see addChangeObserver). Items are validated as for 
+// replaceRange. If an item is rejected by validation, no change is made and an empty array is 
+// returned.
 ETO_ObservableList.prototype.splice = function(startIndex, deleteCount)
 {
 	if (startIndex > this.length)
@@ -1075,25 +3103,26 @@ ETO_ObservableList.prototype.splice = function(startIndex, deleteCount)
     if (typeof deleteCount === "undefined" || deleteCount > this.length - startIndex)
     	deleteCount = this.length - startIndex;
 
-    // Remove the items and return array of removed items
-    var removedItems = new Array();
-    for (var i = startIndex; i < this.m_storage.length; i++)
-    {
-    	removedItems.push(this.m_storage[i][0]);
-    }
-    this.remove(startIndex, deleteCount);
+    if (deleteCount < 0)
+    	deleteCount = 0;
 
-    // If more than 2 arguments exist, items need to be inserted
-    for (var i = 2; i < arguments.length; i++)
-    {
-    	this.add(arguments[i], startIndex + (i - 2));
-    }
+    // Items after the first 2 arguments are to be inserted
+    var newItems = Array.prototype.slice.call(arguments, 2);
+    if (deleteCount === 0 && newItems.length === 0) { return []; }
+
+    // Make the whole change at once, with a single notification
+    var removedItems = this.toArray().slice(startIndex, startIndex + deleteCount);
+    var listChangeType = "replaceRange";
+    if (deleteCount === 0) { listChangeType = "addRange"; }
+    else if (newItems.length === 0) { listChangeType = "removeRange"; }
+    if (!this.replaceItems(startIndex, deleteCount, newItems, listChangeType)) { return []; }
 
     return removedItems;
 }
 
 ETO_ObservableList.prototype.toArray = function()
 {
+    ETO_Observable.noteRead(this, "items");
     var result = [];
     for (var i = 0; i < this.m_storage.length; i++)
         result.push(this.m_storage[i][0]);
@@ -1122,3 +3151,326 @@ ETO_ObservableList.prototype.toString = function()
     str += this.at(i).toString();
     return str;
 }
+
+// tryAdd(item[, insertionIndex])
+//
+// Same as add, but returns an ETO_Result instead of a bool. On success, the result's "value" member 
+// is the index of the added item. If the item is rejected by validation, the failed ETO_Result 
+// from the validator is returned (and stored in lastValidationResult, as with add).
+ETO_ObservableList.prototype.tryAdd = function(item, insertionIndex)
+{
+	var previousResult = this.lastValidationResult;
+	var index = (insertionIndex === undefined) ? this.m_storage.length : insertionIndex;
+	if (this.add(item, insertionIndex))
+	{
+		var result = new ETO_Result(true, "Item added", "ETO_ObservableList.add");
+		result.value = parseInt(index.toString(), 10);
+		return result;
+	}
+	if (this.lastValidationResult !== previousResult) { return this.lastValidationResult; }
+	return new ETO_Result(false, "Insertion index " + insertionIndex + " is not in the range [0," + 
+		this.m_storage.length + "]", "ETO_ObservableList.add");
+}
+
+// validateChange(changeType, item, index[, oldItem])
+//
+// Private function that checks a single item change. The changeType is "add", "replace" or 
+// "remove". For "add" and "replace", 'item' is the new item, which must be of the item type and 
+// pass the addition validator, and for "replace" also the replacement validator, with the replaced 
+// item as 'oldItem'. For "remove", 'item' is the item being removed, which must pass the removal 
+// validator. Returns null if the change is valid. Otherwise returns a failed ETO_Result, which is 
+// also stored in lastValidationResult. If m_isPrevalidated is set, it is cleared and the change is 
+// accepted without calling the validators. Each list function validates before notifying, so this 
+// only applies to the change that applyEdits makes, not to changes made by its observers.
+ETO_ObservableList.prototype.validateChange = function(changeType, item, index, oldItem)
+{
+	if (this.m_isPrevalidated)
+	{
+		this.m_isPrevalidated = false;
+		return null;
+	}
+
+	var getMessage = ETO_ObservableList.getValidatorMessage;
+	var message = null;
+	if (changeType == "remove")
+	{
+		if (this.m_removeValidator)
+		{
+			message = getMessage(this.m_removeValidator(item, index), 
+				"Item at index " + index + " was rejected by the removal validator");
+		}
+	}
+	else
+	{
+		if (this.m_itemType && !(item instanceof this.m_itemType))
+		{
+			message = "Item is not an instance of " + 
+				(this.m_itemType.name ? this.m_itemType.name : "the item type");
+		}
+		if (message === null && this.m_addValidator)
+			message = getMessage(this.m_addValidator(item, index), "Item was rejected by the addition validator");
+		if (message === null && changeType == "replace" && this.m_replaceValidator)
+		{
+			message = getMessage(this.m_replaceValidator(item, oldItem, index), 
+				"Item at index " + index + " was rejected by the replacement validator");
+		}
+	}
+	if (message === null) { return null; }
+
+	this.lastValidationResult = new ETO_Result(false, message, "ETO_ObservableList." + changeType);
+	return this.lastValidationResult;
+}
+Object.defineProperty(ETO_ObservableList.prototype, "validateChange",
+{ "value": ETO_ObservableList.prototype.validateChange });
+
+// ETO_ObservableList.getValidatorMessage(validatorResult, defaultMessage)
+//
+// Private static function that interprets the return value of a validator, which is true or an 
+// ETO_Result. Returns null if the item was accepted, otherwise the message from the ETO_Result, or 
+// defaultMessage if the validator returned anything else.
+ETO_ObservableList.getValidatorMessage = function(validatorResult, defaultMessage)
+{
+	if (validatorResult instanceof ETO_Result)
+		return validatorResult.success ? null : validatorResult.message;
+	return (validatorResult === true) ? null : defaultMessage;
+}
+Object.defineProperty(ETO_ObservableList, "getValidatorMessage",
+{ "value": ETO_ObservableList.getValidatorMessage });
+
+// ----------------------------------------------------------
+
+// ETO_PropertyBinding(source, sourcePropertyName, target, targetPropertyName[, options])
+//
+// Constructor function for a binding that keeps a property of the target ETO_Observable in sync 
+// with a property of the source ETO_Observable. On construction, the target property is set from 
+// the source property. After that, every change to the source property is assigned to the target 
+// property. Assignments go through the normal property setters, so set filters added with 
+// addPropertyWithSetFilter apply, and read-only targets are left unchanged. If the 'options' 
+// parameter is provided, it can have the following members:
+//
+// "twoWay" (defaults to false):
+//   When true, changes to the target property are also assigned to the source property. If a set 
+//   filter on either side changes or rejects a value, the other side is updated with the value that 
+//   was actually set, so that both stay in sync.
+//
+// "convert": function(sourceValue)
+//   Converts source values before they are assigned to the target. Called with the binding as 
+//   'this'. Values are passed as-is if omitted.
+//
+// "convertBack": function(targetValue)
+//   Converts target values before they are assigned to the source, for two-way bindings. Values are 
+//   passed as-is if omitted.
+//
+// Changes caused by the binding itself do not propagate back through the binding, so two-way 
+// bindings do not loop.
+function ETO_PropertyBinding(source, sourcePropertyName, target, targetPropertyName, options)
+{
+	if (!options) { options = {}; }
+
+	Object.defineProperty(this, "source", { "enumerable": true, "value": source });
+	Object.defineProperty(this, "sourcePropertyName", { "enumerable": true, "value": sourcePropertyName });
+	Object.defineProperty(this, "target", { "enumerable": true, "value": target });
+	Object.defineProperty(this, "targetPropertyName", { "enumerable": true, "value": targetPropertyName });
+	Object.defineProperty(this, "twoWay", { "enumerable": true, "value": (options.twoWay === true) });
+
+	var us = this;
+	var identity = function(value) { return value; };
+	var convert = (options.convert instanceof Function) ? options.convert : identity;
+	var convertBack = (options.convertBack instanceof Function) ? options.convertBack : identity;
+
+	// True while the binding is assigning a value, which suppresses re-entrant updates
+	var isUpdating = false;
+
+	var toTarget = function()
+	{
+		if (isUpdating) { return; }
+		isUpdating = true;
+		try
+		{
+			target[targetPropertyName] = convert.call(us, source[sourcePropertyName]);
+
+			// If the target didn't take the value as-is, update the source to match
+			if (us.twoWay)
+			{
+				var actual = convertBack.call(us, target[targetPropertyName]);
+				if (actual !== source[sourcePropertyName])
+					source[sourcePropertyName] = actual;
+			}
+		}
+		finally
+		{
+			isUpdating = false;
+		}
+	};
+
+	var toSource = function()
+	{
+		if (isUpdating) { return; }
+		isUpdating = true;
+		try
+		{
+			source[sourcePropertyName] = convertBack.call(us, target[targetPropertyName]);
+
+			// If the source didn't take the value as-is, update the target to match
+			var actual = convert.call(us, source[sourcePropertyName]);
+			if (actual !== target[targetPropertyName])
+				target[targetPropertyName] = actual;
+		}
+		finally
+		{
+			isUpdating = false;
+		}
+	};
+
+	// Observer handles, or null after disposal
+	var handles = [source.addPropertyObserver(sourcePropertyName, toTarget)];
+	if (this.twoWay)
+		handles.push(target.addPropertyObserver(targetPropertyName, toSource));
+
+	// dispose()
+	//
+	// Removes the binding. Neither property is changed. Returns false if already disposed.
+	this.dispose = function()
+	{
+		if (handles === null) { return false; }
+		source.removeChangeObserver(handles[0]);
+		if (handles.length > 1) { target.removeChangeObserver(handles[1]); }
+		handles = null;
+		return true;
+	};
+
+	Object.defineProperty(this, "isDisposed", {
+		"enumerable": true,
+		"get": function() { return handles === null; }
+	});
+
+	// Set the initial target value
+	toTarget();
+	Object.freeze(this);
+}
+
+// ----------------------------------------------------------
+
+// ETO_SubscriptionGroup()
+//
+// Constructor function for a group of subscriptions that can all be removed at once, such as when 
+// a view is torn down. A group holds observer handles together with the ETO_Observable, 
+// ETO_ObservableList or other object they were added to, and any other objects that have a 
+// dispose() function, such as ETO_PropertyBinding.
+function ETO_SubscriptionGroup()
+{
+	// Each entry is either [target, observerHandle] or [null, disposableObject]
+	Object.defineProperty(this, "m_entries", { "value": [] });
+}
+
+// add(target, observerHandle)
+//
+// Adds an observer handle that was returned by target.addChangeObserver (or a similar function). 
+// When the group is disposed, target.removeChangeObserver(observerHandle) is called. Returns the 
+// observer handle, or null if either parameter is null or undefined.
+ETO_SubscriptionGroup.prototype.add = function(target, observerHandle)
+{
+	if (target === null || target === undefined) { return null; }
+	if (observerHandle === null || observerHandle === undefined) { return null; }
+
+	this.m_entries.push([target, observerHandle]);
+	return observerHandle;
+}
+
+// addDisposable(disposable)
+//
+// Adds an object with a dispose() function, which is called when the group is disposed. Returns 
+// the object, or null if it does not have a dispose function.
+ETO_SubscriptionGroup.prototype.addDisposable = function(disposable)
+{
+	if (!disposable || !(disposable.dispose instanceof Function)) { return null; }
+
+	this.m_entries.push([null, disposable]);
+	return disposable;
+}
+
+// count
+//
+// Read-only property with the number of subscriptions in the group.
+Object.defineProperty(ETO_SubscriptionGroup.prototype, "count",
+{ "get": function() { return this.m_entries.length; } } );
+
+// dispose()
+//
+// Removes every observer and disposes every disposable object in the group, in reverse order of 
+// addition, and empties the group. The group can be reused afterwards. Returns the number of 
+// subscriptions that were removed.
+ETO_SubscriptionGroup.prototype.dispose = function()
+{
+	var entries = this.m_entries.splice(0);
+	for (var i = entries.length - 1; i >= 0; i--)
+	{
+		if (entries[i][0] === null)
+			entries[i][1].dispose();
+		else
+			entries[i][0].removeChangeObserver(entries[i][1]);
+	}
+	return entries.length;
+}
+
+// getObserverCounts()
+//
+// Debugging helper that returns an array with an entry for each distinct object that the group 
+// has observers on. Each entry is an object with the members "object", "observerCount" (the 
+// number of observers currently attached to the object, from the object's observerCount 
+// property, or undefined if it has no such property) and "groupCount" (the number of those 
+// observers held by this group).
+ETO_SubscriptionGroup.prototype.getObserverCounts = function()
+{
+	var result = [];
+	for (var i = 0; i < this.m_entries.length; i++)
+	{
+		var target = this.m_entries[i][0];
+		if (target === null) { continue; }
+
+		var entry = null;
+		for (var j = 0; j < result.length; j++)
+		{
+			if (result[j].object === target) { entry = result[j]; break; }
+		}
+		if (entry)
+		{
+			entry.groupCount++;
+			continue;
+		}
+		result.push({ "object": target, "observerCount": target.observerCount, "groupCount": 1 });
+	}
+	return result;
+}
+
+// observe(target, callbackFunc[, userData, extraArg])
+//
+// Calls target.addChangeObserver(callbackFunc, userData, extraArg) and adds the returned handle to 
+// the group. The meaning of extraArg depends on the target: 'thisForCallback' for ETO_Observable 
+// and 'wantsItemChangesToo' for ETO_ObservableList. Returns the observer handle, or null if the 
+// observer could not be added.
+ETO_SubscriptionGroup.prototype.observe = function(target, callbackFunc, userData, extraArg)
+{
+	return this.add(target, target.addChangeObserver(callbackFunc, userData, extraArg));
+}
+
+// remove(observerHandleOrDisposable)
+//
+// Removes a single observer handle or disposable object from the group, removing the observer or 
+// disposing the object. Returns false if it was not in the group.
+ETO_SubscriptionGroup.prototype.remove = function(observerHandleOrDisposable)
+{
+	for (var i = 0; i < this.m_entries.length; i++)
+	{
+		var entry = this.m_entries[i];
+		if (entry[1] !== observerHandleOrDisposable) { continue; }
+
+		this.m_entries.splice(i, 1);
+		if (entry[0] === null)
+			entry[1].dispose();
+		else
+			entry[0].removeChangeObserver(entry[1]);
+		return true;
+	}
+	return false;
+}
@@ -0,0 +1,912 @@
+// Author:
+//   Evan Thomas Olds
+//
+// History:
+//   October 19, 2026
+//   Original file creation
+//
+// File Dependencies:
+//   ETO_Observable.js
+//   ETO_ObservableMap.js
+//
+// Technology Dependencies:
+//   ES 5.1 or later
+//
+// Declared classes (constructor functions) in this file:
+//   ETO_ListAggregate
+//   ETO_ListProjection
+//   ETO_ListWindow
+
+// ----------------------------------------------------------
+
+// ETO_ListProjection(source[, options])
+//
+// Constructor function for a read-only ETO_ObservableList that is a live projection of a source
+// ETO_ObservableList. The projection contains the source items that pass an optional filter,
+// optionally sorted, and optionally mapped to other values. It is updated incrementally, with the
+// usual list notifications, when the source list changes and when a property of an ETO_Observable
+// item in the source list changes. If the 'options' parameter is provided, it can have the
+// following members:
+//
+// "filter": function(item)
+//   Predicate that returns true for source items to include. All items are included if omitted.
+//
+// "compare": function(itemA, itemB)
+//   Compare function, as with Array.prototype.sort, that is called with source items (not mapped
+//   values). Items that compare as equal stay in source order. The projection keeps the source
+//   order if omitted.
+//
+// "map": function(item)
+//   Function that returns the value to put in the projection for a source item. Called again when
+//   a property of the item changes. Source items are used as-is if omitted.
+//
+// When a source item changes, the filter is re-evaluated for it, the mapped value is replaced if
+// it is no longer identical (===), and the item is moved if it is no longer in sorted order. Batched
+// notifications and notifications from a source in asynchronous delivery mode cause the projection
+// to be rebuilt from the source contents, with a single "replaceRange" notification if anything
+// differs.
+//
+// All functions that would change the list directly, as well as assignments to indices, are
+// rejected. Call dispose() to stop following the source.
+function ETO_ListProjection(source, options)
+{
+    // First call the "parent class" constructor
+    ETO_ObservableList.call(this);
+
+    if (!options) { options = {}; }
+    var identity = function(item) { return item; };
+    Object.defineProperty(this, "m_source", { "value": source });
+    Object.defineProperty(this, "m_filter", {
+        "value": (options.filter instanceof Function) ? options.filter : null });
+    Object.defineProperty(this, "m_compare", {
+        "value": (options.compare instanceof Function) ? options.compare : null });
+    Object.defineProperty(this, "m_map", {
+        "value": (options.map instanceof Function) ? options.map : identity });
+
+    // One record per source item, in source order, and one per projected item, in projection
+    // order. Each record is an object with the members "item", "passes", "value" and "sourceIndex",
+    // which is the index of the record in m_records, kept up to date by renumberRecords.
+    Object.defineProperty(this, "m_records", { "value": [], "writable": true });
+    Object.defineProperty(this, "m_viewRecords", { "value": [], "writable": true });
+
+    // Fill with the initial contents
+    this.resync();
+
+    var us = this;
+    Object.defineProperty(this, "m_sourceObserver", {
+        "value": source.addChangeObserver(function(info) { us.onSourceChange(info); }, null, true),
+        "writable": true
+    });
+}
+
+// Inherit from ETO_ObservableList
+ETO_ListProjection.prototype = Object.create(ETO_ObservableList.prototype);
+
+// dispose()
+//
+// Stops following the source list. The projection keeps its current contents. Returns false if
+// already disposed.
+ETO_ListProjection.prototype.dispose = function()
+{
+    if (!this.m_sourceObserver) { return false; }
+
+    this.m_source.removeChangeObserver(this.m_sourceObserver);
+    this.m_sourceObserver = null;
+    return true;
+}
+
+// isDisposed
+//
+// Read-only property that is true after dispose() has been called.
+Object.defineProperty(ETO_ListProjection.prototype, "isDisposed",
+{ "get": function() { return this.m_sourceObserver === null; } } );
+
+// source
+//
+// Read-only property for the source list.
+Object.defineProperty(ETO_ListProjection.prototype, "source",
+{ "get": function() { return this.m_source; } } );
+
+// The list-changing functions of ETO_ObservableList are all rejected
+ETO_ListProjection.prototype.add = function() { return false; };
+ETO_ListProjection.prototype.addRange = function() { return false; };
+ETO_ListProjection.prototype.applyEdits = function() { return false; };
+ETO_ListProjection.prototype.clear = function() { };
+ETO_ListProjection.prototype.insertRange = function() { return false; };
+ETO_ListProjection.prototype.move = function() { return false; };
+ETO_ListProjection.prototype.push = function() { return false; };
+ETO_ListProjection.prototype.reconcile = function() { return null; };
+ETO_ListProjection.prototype.remove = function() { return 0; };
+ETO_ListProjection.prototype.removeLast = function() { return false; };
+ETO_ListProjection.prototype.removeRange = function() { return 0; };
+ETO_ListProjection.prototype.reorder = function() { return false; };
+ETO_ListProjection.prototype.replaceRange = function() { return false; };
+ETO_ListProjection.prototype.reverse = function() { return this; };
+ETO_ListProjection.prototype.setAt = function() { return false; };
+ETO_ListProjection.prototype.sort = function() { return this; };
+ETO_ListProjection.prototype.splice = function() { return []; };
+ETO_ListProjection.prototype.tryAdd = function()
+{
+    return new ETO_Result(false, "The list is a read-only view", "ETO_ObservableList.add");
+};
+
+// Private helper functions follow
+
+// compareRecords(a, b)
+//
+// Compares two records with the compare function, falling back to source order.
+ETO_ListProjection.prototype.compareRecords = function(a, b)
+{
+    var result = this.m_compare(a.item, b.item);
+    if (result < 0 || result > 0) { return result; }
+    return a.sourceIndex - b.sourceIndex;
+}
+Object.defineProperty(ETO_ListProjection.prototype, "compareRecords",
+{ "value": ETO_ListProjection.prototype.compareRecords });
+
+// findViewIndex(record)
+//
+// Returns the index in the projection where a record that is not currently in the projection
+// belongs.
+ETO_ListProjection.prototype.findViewIndex = function(record)
+{
+    var viewRecords = this.m_viewRecords;
+    if (this.m_compare)
+    {
+        // Binary search for the first record that compares greater
+        var low = 0;
+        var high = viewRecords.length;
+        while (low < high)
+        {
+            var mid = Math.floor((low + high) / 2);
+            if (this.compareRecords(viewRecords[mid], record) < 0) { low = mid + 1; }
+            else { high = mid; }
+        }
+        return low;
+    }
+
+    // In source order, the record goes after every passing record before it
+    var viewIndex = 0;
+    for (var i = 0; i < record.sourceIndex; i++)
+    {
+        if (this.m_records[i].passes) { viewIndex++; }
+    }
+    return viewIndex;
+}
+Object.defineProperty(ETO_ListProjection.prototype, "findViewIndex",
+{ "value": ETO_ListProjection.prototype.findViewIndex });
+
+// hideRecord(record)
+//
+// Removes a record's value from the projection.
+ETO_ListProjection.prototype.hideRecord = function(record)
+{
+    var viewIndex = this.m_viewRecords.indexOf(record);
+    record.passes = false;
+    if (viewIndex == -1) { return; }
+
+    this.m_viewRecords.splice(viewIndex, 1);
+    ETO_ObservableList.prototype.remove.call(this, viewIndex, 1);
+}
+Object.defineProperty(ETO_ListProjection.prototype, "hideRecord",
+{ "value": ETO_ListProjection.prototype.hideRecord });
+
+// insertRecords(index, items)
+//
+// Adds records for items inserted into the source at the index, and shows the passing ones.
+ETO_ListProjection.prototype.insertRecords = function(index, items)
+{
+    var records = [];
+    for (var i = 0; i < items.length; i++)
+        records.push(this.makeRecord(items[i]));
+    this.m_records.splice.apply(this.m_records, [index, 0].concat(records));
+    this.renumberRecords(index);
+
+    for (var i = 0; i < records.length; i++)
+    {
+        if (records[i].passes) { this.showRecord(records[i]); }
+    }
+}
+Object.defineProperty(ETO_ListProjection.prototype, "insertRecords",
+{ "value": ETO_ListProjection.prototype.insertRecords });
+
+// makeRecord(item)
+//
+// Makes a record for a source item, evaluating the filter and map functions.
+ETO_ListProjection.prototype.makeRecord = function(item)
+{
+    var passes = !this.m_filter || this.m_filter(item) === true;
+    return {
+        "item": item,
+        "passes": passes,
+        "value": passes ? this.m_map(item) : undefined,
+        "sourceIndex": -1
+    };
+}
+Object.defineProperty(ETO_ListProjection.prototype, "makeRecord",
+{ "value": ETO_ListProjection.prototype.makeRecord });
+
+// onItemChange(item)
+//
+// Re-evaluates the filter, map and sort position for every record of a source item.
+ETO_ListProjection.prototype.onItemChange = function(item)
+{
+    for (var i = 0; i < this.m_records.length; i++)
+    {
+        var record = this.m_records[i];
+        if (record.item !== item) { continue; }
+
+        var passes = !this.m_filter || this.m_filter(item) === true;
+        if (!passes)
+        {
+            if (record.passes) { this.hideRecord(record); }
+            continue;
+        }
+        if (!record.passes)
+        {
+            record.passes = true;
+            record.value = this.m_map(item);
+            this.showRecord(record);
+            continue;
+        }
+
+        // Still passes, so update the value and position
+        var viewIndex = this.m_viewRecords.indexOf(record);
+        var value = this.m_map(item);
+        if (value !== record.value)
+        {
+            record.value = value;
+            ETO_ObservableList.prototype.replaceRange.call(this, viewIndex, 1, [value]);
+        }
+        if (this.m_compare)
+        {
+            // Take the record out to find where it belongs now, then move it if needed
+            this.m_viewRecords.splice(viewIndex, 1);
+            var newIndex = this.findViewIndex(record);
+            this.m_viewRecords.splice(newIndex, 0, record);
+            if (newIndex !== viewIndex)
+                ETO_ObservableList.prototype.move.call(this, viewIndex, newIndex);
+        }
+    }
+}
+Object.defineProperty(ETO_ListProjection.prototype, "onItemChange",
+{ "value": ETO_ListProjection.prototype.onItemChange });
+
+// onSourceChange(info)
+//
+// Observer callback for the source list. Applies the change incrementally when the notification
+// matches the current state of the source, otherwise rebuilds.
+ETO_ListProjection.prototype.onSourceChange = function(info)
+{
+    // Changes to properties of items
+    if (info.object !== this.m_source && !info.changes)
+    {
+        if (info.listItem !== undefined) { this.onItemChange(info.listItem); }
+        return;
+    }
+
+    var change = ETO_ListProjection.getSourceChange(this.m_source, this.m_records, info);
+    if (!change)
+    {
+        this.resync();
+        return;
+    }
+    if (change.permutation)
+    {
+        // Reorder the records the same way as the source, then the projection to match
+        this.m_records = change.permutedRecords;
+        this.renumberRecords(0);
+        this.reorderView();
+        return;
+    }
+
+    this.removeRecords(change.index, change.oldCount);
+    this.insertRecords(change.index, change.newItems);
+}
+Object.defineProperty(ETO_ListProjection.prototype, "onSourceChange",
+{ "value": ETO_ListProjection.prototype.onSourceChange });
+
+// removeRecords(index, count)
+//
+// Removes the records for items removed from the source at the index, and hides them.
+ETO_ListProjection.prototype.removeRecords = function(index, count)
+{
+    var removed = this.m_records.splice(index, count);
+    this.renumberRecords(index);
+    for (var i = 0; i < removed.length; i++)
+    {
+        if (removed[i].passes) { this.hideRecord(removed[i]); }
+    }
+}
+Object.defineProperty(ETO_ListProjection.prototype, "removeRecords",
+{ "value": ETO_ListProjection.prototype.removeRecords });
+
+// renumberRecords(startIndex)
+//
+// Updates the sourceIndex of the records from the index to the end, after records have been
+// inserted, removed or reordered.
+ETO_ListProjection.prototype.renumberRecords = function(startIndex)
+{
+    for (var i = startIndex; i < this.m_records.length; i++)
+        this.m_records[i].sourceIndex = i;
+}
+Object.defineProperty(ETO_ListProjection.prototype, "renumberRecords",
+{ "value": ETO_ListProjection.prototype.renumberRecords });
+
+// reorderView()
+//
+// Reorders the projection after the records have been reordered, when the passing records are
+// unchanged.
+ETO_ListProjection.prototype.reorderView = function()
+{
+    var oldViewRecords = this.m_viewRecords;
+    var newViewRecords = this.m_records.filter(function(record) { return record.passes; });
+    if (this.m_compare)
+    {
+        var us = this;
+        newViewRecords.sort(function(a, b) { return us.compareRecords(a, b); });
+    }
+
+    var permutation = [];
+    for (var i = 0; i < oldViewRecords.length; i++)
+        permutation.push(newViewRecords.indexOf(oldViewRecords[i]));
+    this.m_viewRecords = newViewRecords;
+    ETO_ObservableList.prototype.reorder.call(this, permutation);
+}
+Object.defineProperty(ETO_ListProjection.prototype, "reorderView",
+{ "value": ETO_ListProjection.prototype.reorderView });
+
+// resync()
+//
+// Rebuilds all records from the source contents and, if the projected values differ, replaces the
+// whole contents of the projection with a single notification.
+ETO_ListProjection.prototype.resync = function()
+{
+    var source = this.m_source;
+    var records = [];
+    for (var i = 0; i < source.length; i++)
+        records.push(this.makeRecord(source.at(i)));
+    this.m_records = records;
+    this.renumberRecords(0);
+
+    var viewRecords = records.filter(function(record) { return record.passes; });
+    if (this.m_compare)
+    {
+        var us = this;
+        viewRecords.sort(function(a, b) { return us.compareRecords(a, b); });
+    }
+    this.m_viewRecords = viewRecords;
+
+    // Only notify if something differs
+    var values = viewRecords.map(function(record) { return record.value; });
+    var isSame = (values.length === this.length);
+    for (var i = 0; isSame && i < values.length; i++)
+        isSame = (values[i] === this.at(i));
+    if (!isSame)
+        ETO_ObservableList.prototype.replaceRange.call(this, 0, this.length, values);
+}
+Object.defineProperty(ETO_ListProjection.prototype, "resync",
+{ "value": ETO_ListProjection.prototype.resync });
+
+// showRecord(record)
+//
+// Inserts a passing record's value into the projection where it belongs.
+ETO_ListProjection.prototype.showRecord = function(record)
+{
+    var viewIndex = this.findViewIndex(record);
+    this.m_viewRecords.splice(viewIndex, 0, record);
+    ETO_ObservableList.prototype.add.call(this, record.value, viewIndex);
+}
+Object.defineProperty(ETO_ListProjection.prototype, "showRecord",
+{ "value": ETO_ListProjection.prototype.showRecord });
+
+// ETO_ListProjection.getSourceChange(source, records, info)
+//
+// Private static function, also used by ETO_ListAggregate, that checks a change notification of a
+// source list against an array of records with one object per source item, in source order, each
+// with the item as its "item" member. Returns one of the following:
+// - For a change of a range of items: an object with the "index" of the range and the "oldCount"
+//   and "newItems" to replace the records in the range with.
+// - For a reorder: an object with the "permutation" and the "permutedRecords", which is a new array
+//   of the records in the new order.
+// - Null if the notification doesn't match the current state of the source, so that the records
+//   must be rebuilt. This is the case for batched notifications, notifications from a source in
+//   asynchronous delivery mode, and each but the last of the notifications of a multi-item remove.
+ETO_ListProjection.getSourceChange = function(source, records, info)
+{
+    if (info.changes || source.m_asyncDelivery) { return null; }
+
+    var index = info.index;
+    var changeType = info.listChangeType;
+    var oldItems = info.oldItems;
+    var newItems = info.newItems;
+    if (changeType == "add") { newItems = [source.at(index)]; oldItems = []; }
+    else if (changeType == "remove") { newItems = []; oldItems = [info.oldValue]; }
+    else if (changeType == "replace") { newItems = [source.at(index)]; oldItems = [info.oldValue]; }
+
+    if (oldItems && newItems)
+    {
+        // Check that the source is in the state this notification describes
+        if (records.length - oldItems.length + newItems.length !== source.length) { return null; }
+        for (var i = 0; i < oldItems.length; i++)
+        {
+            if (!records[index + i] || records[index + i].item !== oldItems[i]) { return null; }
+        }
+        return { "index": index, "oldCount": oldItems.length, "newItems": newItems };
+    }
+
+    if (info.permutation && info.permutation.length === records.length)
+    {
+        var permutedRecords = new Array(records.length);
+        for (var i = 0; i < records.length; i++)
+            permutedRecords[info.permutation[i]] = records[i];
+        return { "permutation": info.permutation, "permutedRecords": permutedRecords };
+    }
+    return null;
+}
+Object.defineProperty(ETO_ListProjection, "getSourceChange",
+{ "value": ETO_ListProjection.getSourceChange });
+
+// ----------------------------------------------------------
+
+// ETO_ListWindow(source, offset, count)
+//
+// Constructor function for a read-only ETO_ObservableList with the items of a source
+// ETO_ObservableList in the index range [offset, offset + count), or fewer if the source doesn't
+// have that many. This allows binding a view to a part of a very large list, such as one created
+// without index properties. Source changes that start at or after the end of the window, like
+// appending to a list while an earlier part of it is shown, are ignored. Other source changes
+// update the window with a single notification for what changed in it, if anything. Changes of
+// ETO_Observable items in the window are forwarded as usual.
+//
+// The window stays at the same offset in the source, so items shift into and out of it when items
+// are added or removed before it. Use setWindow to move or resize it. The same functions as for
+// ETO_ListProjection are rejected, and dispose() stops following the source.
+function ETO_ListWindow(source, offset, count)
+{
+    // First call the "parent class" constructor
+    ETO_ObservableList.call(this);
+
+    Object.defineProperty(this, "m_source", { "value": source });
+    Object.defineProperty(this, "m_offset", { "value": 0, "writable": true });
+    Object.defineProperty(this, "m_count", { "value": 0, "writable": true });
+    this.setWindow(offset, count);
+
+    var us = this;
+    Object.defineProperty(this, "m_sourceObserver", {
+        "value": source.addChangeObserver(function(info) { us.onSourceChange(info); }),
+        "writable": true
+    });
+}
+
+// Inherit from ETO_ObservableList
+ETO_ListWindow.prototype = Object.create(ETO_ObservableList.prototype);
+
+// count
+//
+// Read-only property with the maximum number of items in the window. See setWindow.
+Object.defineProperty(ETO_ListWindow.prototype, "count",
+{ "get": function() { return this.m_count; } } );
+
+// dispose()
+//
+// Same as for ETO_ListProjection.
+ETO_ListWindow.prototype.dispose = ETO_ListProjection.prototype.dispose;
+
+// isDisposed
+//
+// Read-only property that is true after dispose() has been called.
+Object.defineProperty(ETO_ListWindow.prototype, "isDisposed",
+{ "get": function() { return this.m_sourceObserver === null; } } );
+
+// offset
+//
+// Read-only property with the index in the source of the first item in the window. See setWindow.
+Object.defineProperty(ETO_ListWindow.prototype, "offset",
+{ "get": function() { return this.m_offset; } } );
+
+// setWindow(offset, count)
+//
+// Moves and resizes the window. Both must be non-negative integers, or else nothing changes and
+// false is returned. Otherwise the window contents are updated, with a single notification if they
+// changed, and true is returned.
+ETO_ListWindow.prototype.setWindow = function(offset, count)
+{
+    var isCount = function(value) { return typeof value === "number" && value % 1 === 0 && value >= 0; };
+    if (!isCount(offset) || !isCount(count)) { return false; }
+
+    this.m_offset = offset;
+    this.m_count = count;
+    this.refresh();
+    return true;
+}
+
+// source
+//
+// Read-only property for the source list.
+Object.defineProperty(ETO_ListWindow.prototype, "source",
+{ "get": function() { return this.m_source; } } );
+
+// The list-changing functions of ETO_ObservableList are all rejected
+ETO_ListWindow.prototype.add = ETO_ListProjection.prototype.add;
+ETO_ListWindow.prototype.addRange = ETO_ListProjection.prototype.addRange;
+ETO_ListWindow.prototype.applyEdits = ETO_ListProjection.prototype.applyEdits;
+ETO_ListWindow.prototype.clear = ETO_ListProjection.prototype.clear;
+ETO_ListWindow.prototype.insertRange = ETO_ListProjection.prototype.insertRange;
+ETO_ListWindow.prototype.move = ETO_ListProjection.prototype.move;
+ETO_ListWindow.prototype.push = ETO_ListProjection.prototype.push;
+ETO_ListWindow.prototype.reconcile = ETO_ListProjection.prototype.reconcile;
+ETO_ListWindow.prototype.remove = ETO_ListProjection.prototype.remove;
+ETO_ListWindow.prototype.removeLast = ETO_ListProjection.prototype.removeLast;
+ETO_ListWindow.prototype.removeRange = ETO_ListProjection.prototype.removeRange;
+ETO_ListWindow.prototype.reorder = ETO_ListProjection.prototype.reorder;
+ETO_ListWindow.prototype.replaceRange = ETO_ListProjection.prototype.replaceRange;
+ETO_ListWindow.prototype.reverse = ETO_ListProjection.prototype.reverse;
+ETO_ListWindow.prototype.setAt = ETO_ListProjection.prototype.setAt;
+ETO_ListWindow.prototype.sort = ETO_ListProjection.prototype.sort;
+ETO_ListWindow.prototype.splice = ETO_ListProjection.prototype.splice;
+ETO_ListWindow.prototype.tryAdd = ETO_ListProjection.prototype.tryAdd;
+
+// Private helper functions follow
+
+// onSourceChange(info)
+//
+// Observer callback for the source list. Refreshes the window unless every change starts at or
+// after its end.
+ETO_ListWindow.prototype.onSourceChange = function(info)
+{
+    var end = this.m_offset + this.m_count;
+    var changes = info.changes ? info.changes : [info];
+    for (var i = 0; i < changes.length; i++)
+    {
+        var firstIndex = changes[i].index;
+        if (changes[i].oldIndex < firstIndex) { firstIndex = changes[i].oldIndex; }
+        if (!(firstIndex >= end))
+        {
+            this.refresh();
+            return;
+        }
+    }
+}
+Object.defineProperty(ETO_ListWindow.prototype, "onSourceChange",
+{ "value": ETO_ListWindow.prototype.onSourceChange });
+
+// refresh()
+//
+// Updates the window contents from the source, with a single notification for the part that
+// differs, if any.
+ETO_ListWindow.prototype.refresh = function()
+{
+    var source = this.m_source;
+    var end = Math.min(this.m_offset + this.m_count, source.length);
+    var items = [];
+    for (var i = this.m_offset; i < end; i++)
+        items.push(source.at(i));
+
+    // Skip the items that are the same at the start and at the end
+    var oldItems = this.toArray();
+    var start = 0;
+    while (start < oldItems.length && start < items.length && oldItems[start] === items[start])
+        start++;
+    var oldEnd = oldItems.length;
+    var newEnd = items.length;
+    while (oldEnd > start && newEnd > start && oldItems[oldEnd - 1] === items[newEnd - 1])
+    {
+        oldEnd--;
+        newEnd--;
+    }
+    if (start == oldEnd && start == newEnd) { return; }
+
+    ETO_ObservableList.prototype.splice.apply(this,
+        [start, oldEnd - start].concat(items.slice(start, newEnd)));
+}
+Object.defineProperty(ETO_ListWindow.prototype, "refresh",
+{ "value": ETO_ListWindow.prototype.refresh });
+
+// ----------------------------------------------------------
+
+// ETO_ListAggregate(source, kind[, selector])
+//
+// Constructor function for an ETO_Observable with a read-only "value" property that is an aggregate
+// of the items in a source ETO_ObservableList. The value is updated incrementally, with the usual
+// property change notification, when the source list changes and when a property of an
+// ETO_Observable item in the source list changes. The 'kind' parameter is one of the following:
+//
+// "count": The number of items for which selector(item) returns true, or of all items if there is
+//          no selector.
+// "sum": The sum of selector(item), or of the items themselves if there is no selector.
+// "min", "max": The smallest or largest of selector(item), or of the items themselves if there is
+//               no selector, compared with < and >. Undefined for an empty list.
+// "groupBy": An ETO_ObservableMap from each key string (String(selector(item)), or the item as a
+//            string if there is no selector) to an ETO_ObservableList of the items with that key,
+//            in source order. Groups are added and deleted as needed. The value is always the same
+//            map, so observe the map for changes.
+//
+// Batched notifications and notifications from a source in asynchronous delivery mode cause the
+// aggregate to be recomputed from the source contents. Throws an Error for an unknown kind. Call
+// dispose() to stop following the source.
+function ETO_ListAggregate(source, kind, selector)
+{
+    if (["count", "sum", "min", "max", "groupBy"].indexOf(kind) == -1)
+        throw new Error("Unknown aggregate kind '" + kind + "'");
+
+    // First call the "parent class" constructor
+    ETO_Observable.call(this);
+
+    if (!(selector instanceof Function))
+        selector = (kind == "count") ? function() { return true; } : function(item) { return item; };
+    Object.defineProperty(this, "m_source", { "value": source });
+    Object.defineProperty(this, "m_kind", { "value": kind });
+    Object.defineProperty(this, "m_selector", { "value": selector });
+
+    // One record per source item, in source order, with the members "item" and "value", which is
+    // the selected value (the key for "groupBy")
+    Object.defineProperty(this, "m_records", { "value": [], "writable": true });
+
+    // The running count or sum, or the current min or max
+    Object.defineProperty(this, "m_total", { "value": undefined, "writable": true });
+
+    // True when the min or max was removed and has to be found again
+    Object.defineProperty(this, "m_isExtremeStale", { "value": false, "writable": true });
+
+    Object.defineProperty(this, "m_setValue", {
+        "value": this.addPropertyWithPrivateSet("value", (kind == "groupBy") ? new ETO_ObservableMap() : undefined)
+    });
+    this.resync();
+
+    var us = this;
+    Object.defineProperty(this, "m_sourceObserver", {
+        "value": source.addChangeObserver(function(info) { us.onSourceChange(info); }, null, true),
+        "writable": true
+    });
+}
+
+// Inherit from ETO_Observable
+ETO_ListAggregate.prototype = Object.create(ETO_Observable.prototype);
+
+// dispose()
+//
+// Stops following the source list. The value stays as it is. Returns false if already disposed.
+ETO_ListAggregate.prototype.dispose = ETO_ListProjection.prototype.dispose;
+
+// isDisposed
+//
+// Read-only property that is true after dispose() has been called.
+Object.defineProperty(ETO_ListAggregate.prototype, "isDisposed",
+{ "get": function() { return this.m_sourceObserver === null; } } );
+
+// kind
+//
+// Read-only property with the kind of aggregate, as passed to the constructor.
+Object.defineProperty(ETO_ListAggregate.prototype, "kind",
+{ "get": function() { return this.m_kind; } } );
+
+// source
+//
+// Read-only property for the source list.
+Object.defineProperty(ETO_ListAggregate.prototype, "source",
+{ "get": function() { return this.m_source; } } );
+
+ETO_ListAggregate.prototype.toString = function()
+{
+    return "[object ETO_ListAggregate]";
+}
+
+// Private helper functions follow
+
+// addRecordValue(recordIndex)
+//
+// Adds the value of the record at the index, which must already be in m_records, to the aggregate.
+ETO_ListAggregate.prototype.addRecordValue = function(recordIndex)
+{
+    var value = this.m_records[recordIndex].value;
+    var kind = this.m_kind;
+    if (kind == "count") { this.m_total += (value === true) ? 1 : 0; }
+    else if (kind == "sum") { this.m_total += value; }
+    else if (kind == "min" || kind == "max")
+    {
+        if (this.m_records.length == 1 || (kind == "min" && value < this.m_total) ||
+            (kind == "max" && value > this.m_total))
+            this.m_total = value;
+    }
+    else
+    {
+        // Insert the item into its group after the items with the same key before it
+        var group = this.value.get(value);
+        if (!group)
+        {
+            group = new ETO_ObservableList();
+            this.value.set(value, group);
+        }
+        group.add(this.m_records[recordIndex].item, this.getGroupIndex(recordIndex));
+    }
+}
+Object.defineProperty(ETO_ListAggregate.prototype, "addRecordValue",
+{ "value": ETO_ListAggregate.prototype.addRecordValue });
+
+// getGroupIndex(recordIndex)
+//
+// For "groupBy", returns the number of records before the one at the index that have the same key.
+ETO_ListAggregate.prototype.getGroupIndex = function(recordIndex)
+{
+    var key = this.m_records[recordIndex].value;
+    var groupIndex = 0;
+    for (var i = 0; i < recordIndex; i++)
+    {
+        if (this.m_records[i].value === key) { groupIndex++; }
+    }
+    return groupIndex;
+}
+Object.defineProperty(ETO_ListAggregate.prototype, "getGroupIndex",
+{ "value": ETO_ListAggregate.prototype.getGroupIndex });
+
+// onSourceChange(info)
+//
+// Observer callback for the source list. Applies the change incrementally when the notification
+// matches the current state of the source, otherwise recomputes.
+ETO_ListAggregate.prototype.onSourceChange = function(info)
+{
+    // Changes to properties of items
+    if (info.object !== this.m_source && !info.changes)
+    {
+        if (info.listItem === undefined) { return; }
+        for (var i = 0; i < this.m_records.length; i++)
+        {
+            var record = this.m_records[i];
+            if (record.item !== info.listItem) { continue; }
+
+            var value = this.select(record.item);
+            if (value === record.value) { continue; }
+            this.removeRecordValue(i);
+            record.value = value;
+            this.addRecordValue(i);
+        }
+        this.publish();
+        return;
+    }
+
+    var change = ETO_ListProjection.getSourceChange(this.m_source, this.m_records, info);
+    if (!change)
+    {
+        this.resync();
+        return;
+    }
+    if (change.permutation)
+    {
+        // Only the order within groups depends on the order of the items
+        this.m_records = change.permutedRecords;
+        if (this.m_kind == "groupBy") { this.resync(); }
+        return;
+    }
+
+    for (var i = change.oldCount - 1; i >= 0; i--)
+    {
+        this.removeRecordValue(change.index + i);
+        this.m_records.splice(change.index + i, 1);
+    }
+    for (var i = 0; i < change.newItems.length; i++)
+    {
+        var item = change.newItems[i];
+        this.m_records.splice(change.index + i, 0, { "item": item, "value": this.select(item) });
+        this.addRecordValue(change.index + i);
+    }
+    this.publish();
+}
+Object.defineProperty(ETO_ListAggregate.prototype, "onSourceChange",
+{ "value": ETO_ListAggregate.prototype.onSourceChange });
+
+// publish()
+//
+// Finds the min or max again if needed, then sets the value, which notifies if it changed.
+ETO_ListAggregate.prototype.publish = function()
+{
+    var kind = this.m_kind;
+    if (kind == "groupBy") { return; }
+
+    if (this.m_isExtremeStale)
+    {
+        this.m_isExtremeStale = false;
+        var records = this.m_records;
+        this.m_total = records.length ? records[0].value : undefined;
+        for (var i = 1; i < records.length; i++)
+        {
+            var value = records[i].value;
+            if ((kind == "min" && value < this.m_total) || (kind == "max" && value > this.m_total))
+                this.m_total = value;
+        }
+    }
+    this.m_setValue(this.m_total);
+}
+Object.defineProperty(ETO_ListAggregate.prototype, "publish",
+{ "value": ETO_ListAggregate.prototype.publish });
+
+// removeRecordValue(recordIndex)
+//
+// Removes the value of the record at the index, which must still be in m_records, from the
+// aggregate.
+ETO_ListAggregate.prototype.removeRecordValue = function(recordIndex)
+{
+    var value = this.m_records[recordIndex].value;
+    var kind = this.m_kind;
+    if (kind == "count") { this.m_total -= (value === true) ? 1 : 0; }
+    else if (kind == "sum") { this.m_total -= value; }
+    else if (kind == "min" || kind == "max")
+    {
+        if (value === this.m_total || value !== value) { this.m_isExtremeStale = true; }
+    }
+    else
+    {
+        var group = this.value.get(value);
+        group.remove(this.getGroupIndex(recordIndex));
+        if (group.length === 0) { this.value["delete"](value); }
+    }
+}
+Object.defineProperty(ETO_ListAggregate.prototype, "removeRecordValue",
+{ "value": ETO_ListAggregate.prototype.removeRecordValue });
+
+// resync()
+//
+// Rebuilds all records from the source contents and recomputes the value. For "groupBy", each
+// group is reconciled with its new items, so that only actual changes are notified.
+ETO_ListAggregate.prototype.resync = function()
+{
+    var source = this.m_source;
+    var records = [];
+    for (var i = 0; i < source.length; i++)
+    {
+        var item = source.at(i);
+        records.push({ "item": item, "value": this.select(item) });
+    }
+    this.m_records = records;
+
+    if (this.m_kind == "groupBy")
+    {
+        var groups = this.value;
+        var newGroups = Object.create(null);
+        var keys = [];
+        for (var i = 0; i < records.length; i++)
+        {
+            var key = records[i].value;
+            if (!newGroups[key])
+            {
+                newGroups[key] = [];
+                keys.push(key);
+            }
+            newGroups[key].push(records[i].item);
+        }
+
+        var oldKeys = groups.keys();
+        for (var i = 0; i < oldKeys.length; i++)
+        {
+            if (!newGroups[oldKeys[i]]) { groups["delete"](oldKeys[i]); }
+        }
+        for (var i = 0; i < keys.length; i++)
+        {
+            if (groups.has(keys[i])) { groups.get(keys[i]).reconcile(newGroups[keys[i]]); }
+            else { groups.set(keys[i], new ETO_ObservableList({ "objectToCopy": newGroups[keys[i]] })); }
+        }
+        return;
+    }
+
+    if (this.m_kind == "count" || this.m_kind == "sum")
+    {
+        this.m_total = 0;
+        for (var i = 0; i < records.length; i++)
+            this.addRecordValue(i);
+    }
+    else { this.m_isExtremeStale = true; }
+    this.publish();
+}
+Object.defineProperty(ETO_ListAggregate.prototype, "resync",
+{ "value": ETO_ListAggregate.prototype.resync });
+
+// select(item)
+//
+// Returns the selected value of an item, which for "groupBy" is the key string.
+ETO_ListAggregate.prototype.select = function(item)
+{
+    var value = this.m_selector(item);
+    return (this.m_kind == "groupBy") ? String(value) : value;
+}
+Object.defineProperty(ETO_ListAggregate.prototype, "select",
+{ "value": ETO_ListAggregate.prototype.select });
@@ -0,0 +1,338 @@
+// Author:
+//   Evan Thomas Olds
+//
+// History:
+//   October 19, 2026
+//   Original file creation
+//
+// File Dependencies:
+//   ETO_Foundation.js
+//   ETO_Observable.js
+//
+// Technology Dependencies:
+//   ES 5.1 or later
+//
+// Declared classes (constructor functions) in this file:
+//   ETO_ObservableMap
+
+// ----------------------------------------------------------
+
+// ETO_ObservableMap([options])
+//
+// Constructor function for an observable collection of values by string key. Keys are kept apart
+// from the object's own properties, so any string can be used as a key, including names of
+// functions and "ETO_Observable_Properties". Keys are kept in insertion order. If the 'options'
+// parameter is provided, it can have the following member:
+//
+// "objectToCopy" (Object or ETO_ObservableMap):
+//   Object to copy entries from. For a plain object, each own enumerable property is an entry.
+function ETO_ObservableMap(options)
+{
+    // Storage of entries by key, each as a tuple of the form:
+    // [value, observerHandleIfValueIsETO_Observable]
+    Object.defineProperty(this, "m_storage", { "value": Object.create(null) });
+
+    // The keys in insertion order
+    Object.defineProperty(this, "m_keys", { "value": [] });
+
+    // The observers of this map
+    Object.defineProperty(this, "m_observers", { "value": [] });
+
+    // Initialize batching, asynchronous delivery and observer error handling state (same as
+    // ETO_Observable)
+    Object.defineProperty(this, "m_batchDepth", { "value": 0, "writable": true });
+    Object.defineProperty(this, "m_batchChanges", { "value": [] });
+    Object.defineProperty(this, "m_asyncDelivery", { "value": null, "writable": true });
+    Object.defineProperty(this, "m_errorHandler", { "value": null, "writable": true });
+
+    // Copy the entries of the object to copy, if there is one
+    var objectToCopy = options ? options.objectToCopy : null;
+    if (objectToCopy instanceof ETO_ObservableMap)
+    {
+        var entries = objectToCopy.entries();
+        for (var i = 0; i < entries.length; i++)
+            this.set(entries[i][0], entries[i][1]);
+    }
+    else if (objectToCopy !== null && typeof objectToCopy === "object")
+    {
+        for (var key in objectToCopy)
+        {
+            if (objectToCopy.hasOwnProperty(key)) { this.set(key, objectToCopy[key]); }
+        }
+    }
+}
+
+// addChangeObserver(callback, userData[, wantsItemChangesToo])
+//
+// Adds a change observer with the same details format as ETO_ObservableList, except that entries
+// are identified by "key" (the key string, which is also the "name") instead of by "index":
+//
+// "listChangeType":
+//   "add" when a key is added, "remove" when a key is deleted, and "replace" when the value of an
+//   existing key is set to a different value. For "remove" and "replace", "oldValue" is the
+//   previous value.
+//
+// Observers that want item changes also get the notifications of ETO_Observable values, forwarded
+// with "listItem" (the value) and "key" members added.
+ETO_ObservableMap.prototype.addChangeObserver = ETO_ObservableList.prototype.addChangeObserver;
+
+// batch(func[, thisArg]), beginBatch() and endBatch()
+//
+// Same as for ETO_ObservableList.
+ETO_ObservableMap.prototype.batch = ETO_ObservableList.prototype.batch;
+ETO_ObservableMap.prototype.beginBatch = ETO_ObservableList.prototype.beginBatch;
+
+// clear()
+//
+// Deletes every key, with a "remove" notification for each.
+ETO_ObservableMap.prototype.clear = function()
+{
+    var keys = this.m_keys.concat([]);
+    for (var i = 0; i < keys.length; i++)
+        this["delete"](keys[i]);
+}
+
+// delete(key)
+//
+// Deletes the key and its value. Returns true if the key existed.
+ETO_ObservableMap.prototype["delete"] = function(key)
+{
+    if (!this.has(key)) { return false; }
+
+    var entry = this.m_storage[key];
+    delete this.m_storage[key];
+    this.m_keys.splice(this.m_keys.indexOf(key), 1);
+    if (entry[1]) { entry[0].removeChangeObserver(entry[1]); }
+
+    this.notifyObservers({
+        "listChangeType": "remove",
+        "key": key,
+        "name": key,
+        "object": this,
+        "oldValue": entry[0]
+    });
+    return true;
+}
+
+ETO_ObservableMap.prototype.endBatch = ETO_ObservableList.prototype.endBatch;
+
+// entries()
+//
+// Returns an array of [key, value] arrays, in insertion order.
+ETO_ObservableMap.prototype.entries = function()
+{
+    var storage = this.m_storage;
+    return this.m_keys.map(function(key) { return [key, storage[key][0]]; });
+}
+
+// flush()
+//
+// Same as ETO_Observable.flush, but for the map.
+ETO_ObservableMap.prototype.flush = ETO_ObservableList.prototype.flush;
+
+// forEach(callback[, thisArg])
+//
+// Calls callback(value, key, map) for each entry in insertion order.
+ETO_ObservableMap.prototype.forEach = function(callback, thisArg)
+{
+    var keys = this.m_keys.concat([]);
+    for (var i = 0; i < keys.length; i++)
+    {
+        if (this.has(keys[i]))
+            callback.call(thisArg, this.m_storage[keys[i]][0], keys[i], this);
+    }
+}
+
+// get(key)
+//
+// Returns the value for the key, or undefined if there is no such key.
+ETO_ObservableMap.prototype.get = function(key)
+{
+    return this.has(key) ? this.m_storage[key][0] : undefined;
+}
+
+// has(key)
+//
+// Returns true if the map has the key.
+ETO_ObservableMap.prototype.has = function(key)
+{
+    return typeof key === "string" && (key in this.m_storage);
+}
+
+// keys()
+//
+// Returns an array of the keys, in insertion order.
+ETO_ObservableMap.prototype.keys = function()
+{
+    return this.m_keys.concat([]);
+}
+
+// observerCount
+//
+// Read-only property with the number of observers currently attached to this map.
+Object.defineProperty(ETO_ObservableMap.prototype, "observerCount",
+{ "get": function() { return this.m_observers.length; } } );
+
+// observeValue(key, entry)
+//
+// Private function that adds an observer to the ETO_Observable value in a storage entry, which
+// forwards the value's change notifications to this map's observers with "listItem" and "key"
+// members added. Returns the observer handle, or null if the value is not an ETO_Observable.
+ETO_ObservableMap.prototype.observeValue = function(key, entry)
+{
+    var value = entry[0];
+    if (!(value instanceof ETO_Observable)) { return null; }
+
+    var us = this;
+    return value.addChangeObserver(function(info)
+    {
+        // Ignore notifications after the entry has been deleted or replaced
+        if (us.m_storage[key] !== entry) { return; }
+
+        info.listItem = value;
+        info.key = key;
+        us.notifyObservers(info);
+    }, this);
+}
+Object.defineProperty(ETO_ObservableMap.prototype, "observeValue",
+{ "value": ETO_ObservableMap.prototype.observeValue });
+
+// once(callbackFunc[, userData, wantsItemChangesToo])
+//
+// Same as for ETO_ObservableList.
+ETO_ObservableMap.prototype.once = ETO_ObservableList.prototype.once;
+
+// Private functions shared with ETO_ObservableList
+Object.defineProperty(ETO_ObservableMap.prototype, "beginDispatch",
+{ "value": ETO_ObservableList.prototype.beginDispatch });
+Object.defineProperty(ETO_ObservableMap.prototype, "callObserver",
+{ "value": ETO_ObservableList.prototype.callObserver });
+Object.defineProperty(ETO_ObservableMap.prototype, "checkObserversChangeDuringDispatch",
+{ "value": ETO_ObservableList.prototype.checkObserversChangeDuringDispatch });
+Object.defineProperty(ETO_ObservableMap.prototype, "deliverToObservers",
+{ "value": ETO_ObservableList.prototype.deliverToObservers });
+Object.defineProperty(ETO_ObservableMap.prototype, "notifyObservers",
+{ "value": ETO_ObservableList.prototype.notifyObservers });
+Object.defineProperty(ETO_ObservableMap.prototype, "queueNotification",
+{ "value": ETO_ObservableList.prototype.queueNotification });
+Object.defineProperty(ETO_ObservableMap.prototype, "reportObserverError",
+{ "value": ETO_ObservableList.prototype.reportObserverError });
+Object.defineProperty(ETO_ObservableMap.prototype, "scheduleFlush",
+{ "value": ETO_ObservableList.prototype.scheduleFlush });
+
+// removeChangeObserver(observerHandle)
+//
+// Removes an observer added with addChangeObserver or once. Returns true if it was found.
+ETO_ObservableMap.prototype.removeChangeObserver = ETO_ObservableList.prototype.removeChangeObserver;
+
+// set(key, value)
+//
+// Sets the value for a key, adding the key if it doesn't exist, with an "add" or "replace"
+// notification. Setting a key to the value it already has (===) does nothing. Returns false if the
+// key is not a string, true otherwise.
+ETO_ObservableMap.prototype.set = function(key, value)
+{
+    if (typeof key !== "string") { return false; }
+
+    var details = { "key": key, "name": key, "object": this };
+    var oldEntry = this.m_storage[key];
+    if (oldEntry)
+    {
+        if (oldEntry[0] === value) { return true; }
+        if (oldEntry[1]) { oldEntry[0].removeChangeObserver(oldEntry[1]); }
+        details.listChangeType = "replace";
+        details.oldValue = oldEntry[0];
+    }
+    else
+    {
+        this.m_keys.push(key);
+        details.listChangeType = "add";
+    }
+
+    var entry = [value, null];
+    this.m_storage[key] = entry;
+    entry[1] = this.observeValue(key, entry);
+
+    this.notifyObservers(details);
+    return true;
+}
+
+// setDeliveryMode(mode[, scheduler]) and setObserverErrorHandler(handler)
+//
+// Same as for ETO_Observable.
+ETO_ObservableMap.prototype.setDeliveryMode = ETO_ObservableList.prototype.setDeliveryMode;
+ETO_ObservableMap.prototype.setObserverErrorHandler = ETO_ObservableList.prototype.setObserverErrorHandler;
+
+// size
+//
+// Read-only property with the number of keys.
+Object.defineProperty(ETO_ObservableMap.prototype, "size",
+{ "get": function() { return this.m_keys.length; } } );
+
+// toJSON()
+//
+// An ETO_ObservableMap serializes as an object mapping each key to the {varType, value} object
+// from ETO_Observable.serializeValue for its value, so that values of registered types survive the
+// round-trip through ETO_ObservableMap.deserialize.
+ETO_ObservableMap.prototype.toJSON = function()
+{
+    var result = new Object();
+    for (var i = 0; i < this.m_keys.length; i++)
+        result[this.m_keys[i]] = ETO_Observable.serializeValue(this.m_storage[this.m_keys[i]][0]);
+    return result;
+}
+
+ETO_ObservableMap.prototype.toString = function()
+{
+    return "[object ETO_ObservableMap]";
+}
+
+// values()
+//
+// Returns an array of the values, in insertion order.
+ETO_ObservableMap.prototype.values = function()
+{
+    var storage = this.m_storage;
+    return this.m_keys.map(function(key) { return storage[key][0]; });
+}
+
+// ETO_ObservableMap.deserialize(data)
+//
+// Re-creates a map from the output of toJSON. Returns an ETO_Result which, on success, has a
+// "value" member with the new map.
+ETO_ObservableMap.deserialize = function(data)
+{
+    var opName = "ETO_ObservableMap.deserialize";
+    if (data === null || typeof data !== "object" || data instanceof Array)
+        return new ETO_Result(false, "Serialized data must be an object", opName);
+
+    var map = new ETO_ObservableMap();
+    for (var key in data)
+    {
+        if (!data.hasOwnProperty(key)) { continue; }
+
+        var serialized = data[key];
+        if (serialized === null || typeof serialized !== "object")
+            return new ETO_Result(false, "Key '" + key + "': Expected a {varType, value} object", opName);
+        var valueResult = ETO_Observable.deserializeValue(serialized.varType, serialized.value);
+        if (!valueResult.success)
+            return new ETO_Result(false, "Key '" + key + "': " + valueResult.message, opName);
+        map.set(key, valueResult.value);
+    }
+
+    var result = new ETO_Result(true, "Deserialized map", opName);
+    result.value = map;
+    return result;
+}
+
+// Register the type, so that maps nested in other observables serialize and deserialize
+ETO_Observable.registerType("ETO_ObservableMap", {
+    "constructor": ETO_ObservableMap,
+    "serialize": function(map) { return map.toJSON(); },
+    "deserialize": function(data)
+    {
+        var result = ETO_ObservableMap.deserialize(data);
+        if (!result.success) { throw new Error(result.message); }
+        return result.value;
+    }
+});
@@ -0,0 +1,341 @@
+// Author:
+//   Evan Thomas Olds
+//
+// History:
+//   October 19, 2026
+//   Original file creation
+//
+// File Dependencies:
+//   ETO_Foundation.js
+//   ETO_Observable.js
+//
+// Technology Dependencies:
+//   ES 5.1 or later
+//
+// Declared global functions in this file:
+//   ETO_DefineObservableModel
+
+// ----------------------------------------------------------
+
+// ETO_DefineObservableModel(schema)
+//
+// Creates and returns a constructor function for a class of ETO_Observable objects whose properties
+// are defined by a declarative schema. The schema is an object with the following members:
+//
+// "typeId" (optional):
+//   Stable type id string. If provided, the model is registered with ETO_Observable.registerType
+//   under this id, so that model values nested in other observables serialize and deserialize
+//   through the schema.
+//
+// "properties" (required):
+//   Object mapping each property name to a property spec, which is an object with these members
+//   (all optional):
+//   "type": One of "string", "number", "integer", "boolean" or "any" (the default), or a
+//           constructor function that values must be instances of. Null is only accepted for
+//           constructor types.
+//   "default": Initial value used when no value is provided. For non-primitive defaults, provide
+//              a function returning a new value, which is called for each new object.
+//   "writable", "removable", "enumerable": Same as the parameters of ETO_Observable.addProperty.
+//                                         Default to true, false and true, respectively.
+//   "min", "max": Inclusive range for "number" and "integer" values.
+//   "enum": Array of allowed values.
+//   "coerce": function(value) that converts a value before it is validated, for example parsing
+//             a string into a number.
+//   "validate": function(value) that returns true, false, or an ETO_Result for custom validation.
+//   "filter": function(newValue, oldValue) called with 'this' as the model, after validation,
+//             that returns the value to actually set, as with addPropertyWithSetFilter.
+//
+// Returns null if the schema is invalid or the type id cannot be registered. Otherwise the returned
+// constructor takes an optional object of initial property values. Its prototype inherits from
+// ETO_Observable and it has the following static members:
+//
+// "schema": The schema object.
+// "validateProperty(name, value)": Returns an ETO_Result for a single value. On success it has a
+//                                  "value" member with the coerced value.
+// "validate(values)": Returns an ETO_Result for an object of property values. On failure it has an
+//                     "errors" member with the ETO_Result of each failed property.
+// "create(values)": Validates the values, and the defaults of the properties without a value, and
+//                   returns an ETO_Result which, on success, has a "value" member with the new
+//                   model object. On failure it has an "errors" member, as with validate.
+// "deserialize(data)": Same as create, but takes the output of the model's toJSON.
+//
+// Assignments to writable properties go through the same coercion and validation. An invalid value
+// is not set, and the failed ETO_Result is stored in the model's non-enumerable
+// "lastValidationResult" property, which keeps the most recent failure until the next one. Valid
+// assignments do not clear it. Invalid values passed to the constructor are replaced with the
+// defaults, also recording the failure in lastValidationResult. Use the "create" function instead
+// of the constructor to find out about invalid values up front.
+function ETO_DefineObservableModel(schema)
+{
+    if (!schema || schema.properties === null || typeof schema.properties !== "object") { return null; }
+    var props = schema.properties;
+    var names = Object.keys(props);
+
+    // Operation names in results are prefixed with the type id, if there is one
+    var opPrefix = (typeof schema.typeId === "string") ? schema.typeId + "." : "";
+
+    // Check the property specs
+    var primitiveTypes = ["string", "number", "integer", "boolean", "any"];
+    for (var i = 0; i < names.length; i++)
+    {
+        var spec = props[names[i]];
+        if (spec === null || typeof spec !== "object") { return null; }
+        if (spec.type !== undefined && !(spec.type instanceof Function) &&
+            primitiveTypes.indexOf(spec.type) == -1) { return null; }
+    }
+
+    // validateProperty(name, value)
+    //
+    // Coerces and validates a single value against the spec of the named property
+    var validateProperty = function(name, value)
+    {
+        var opName = opPrefix + "validateProperty";
+        if (!props.hasOwnProperty(name))
+            return new ETO_Result(false, "Unknown property '" + name + "'", opName);
+        var spec = props[name];
+        var fail = function(message)
+        {
+            return new ETO_Result(false, "Property '" + name + "': " + message, opName);
+        };
+
+        if (spec.coerce instanceof Function) { value = spec.coerce(value); }
+
+        // Check the type
+        var type = (spec.type === undefined) ? "any" : spec.type;
+        if (type instanceof Function)
+        {
+            if (value !== null && !(value instanceof type))
+                return fail("Value is not an instance of " + (type.name ? type.name : "the required type"));
+        }
+        else if (type == "integer")
+        {
+            if (typeof value !== "number" || value % 1 !== 0) { return fail("Value is not an integer"); }
+        }
+        else if (type != "any" && typeof value !== type)
+            return fail("Value is not of type '" + type + "'");
+
+        // Check the range and allowed values
+        if (typeof value === "number")
+        {
+            if (isNaN(value) && (spec.min !== undefined || spec.max !== undefined))
+                return fail("Value is NaN");
+            if (spec.min !== undefined && value < spec.min)
+                return fail("Value " + value + " is less than the minimum of " + spec.min);
+            if (spec.max !== undefined && value > spec.max)
+                return fail("Value " + value + " is greater than the maximum of " + spec.max);
+        }
+        if (spec["enum"] instanceof Array && spec["enum"].indexOf(value) == -1)
+            return fail("Value is not one of the allowed values");
+
+        // Custom validation can return a bool or an ETO_Result
+        if (spec.validate instanceof Function)
+        {
+            var custom = spec.validate(value);
+            if (custom instanceof ETO_Result)
+            {
+                if (!custom.success) { return fail(custom.message); }
+            }
+            else if (custom !== true)
+                return fail("Value failed validation");
+        }
+
+        var result = new ETO_Result(true, "Property '" + name + "' is valid", opName);
+        result.value = value;
+        return result;
+    };
+
+    // Gets the default value for a property, calling the default function if there is one
+    var getDefault = function(name)
+    {
+        var def = props[name]["default"];
+        return (def instanceof Function) ? def() : def;
+    };
+
+    // validate(values)
+    //
+    // Validates every property value present in 'values'. Unknown names are errors.
+    var validate = function(values)
+    {
+        var errors = [];
+        if (values !== null && typeof values === "object")
+        {
+            for (var name in values)
+            {
+                var itemResult = validateProperty(name, values[name]);
+                if (!itemResult.success) { errors.push(itemResult); }
+            }
+        }
+        else if (values !== undefined)
+            errors.push(new ETO_Result(false, "Values must be an object", opPrefix + "validate"));
+
+        if (errors.length === 0) { return new ETO_Result(true, "All values are valid", opPrefix + "validate"); }
+        var result = new ETO_Result(false, errors.map(function(e) { return e.message; }).join("; "),
+            opPrefix + "validate");
+        result.errors = errors;
+        return result;
+    };
+
+    var Model = function(values)
+    {
+        // First call the "parent class" constructor
+        ETO_Observable.call(this);
+
+        Object.defineProperty(this, "lastValidationResult", { "value": null, "writable": true });
+
+        var us = this;
+        for (var i = 0; i < names.length; i++)
+        {
+            var name = names[i];
+            var spec = props[name];
+
+            // Get the initial value, falling back to the default if missing or invalid
+            var value;
+            if (values && values.hasOwnProperty(name))
+            {
+                var initResult = validateProperty(name, values[name]);
+                if (initResult.success) { value = initResult.value; }
+                else
+                {
+                    this.lastValidationResult = initResult;
+                    value = getDefault(name);
+                }
+            }
+            else { value = getDefault(name); }
+
+            var removable = (spec.removable === true);
+            var isEnumerable = (spec.enumerable !== false);
+            if (spec.writable === false)
+            {
+                this.addProperty(name, value, removable, false, isEnumerable);
+                continue;
+            }
+
+            this.addPropertyWithSetFilter(name, value, makeSetFilter(us, name, spec), removable,
+                isEnumerable);
+        }
+    };
+
+    // Makes the set filter for a writable property. Invalid values leave the property unchanged.
+    var makeSetFilter = function(model, name, spec)
+    {
+        return function(newValue, oldValue)
+        {
+            var setResult = validateProperty(name, newValue);
+            if (!setResult.success)
+            {
+                model.lastValidationResult = setResult;
+                return oldValue;
+            }
+
+            if (spec.filter instanceof Function)
+                return spec.filter.call(model, setResult.value, oldValue);
+            return setResult.value;
+        };
+    };
+
+    // Inherit from ETO_Observable
+    Model.prototype = Object.create(ETO_Observable.prototype);
+
+    // Models serialize as an object mapping each existing schema property to its value. Primitive
+    // values are stored as-is and other values as the {varType, value} object from
+    // ETO_Observable.serializeValue.
+    Model.prototype.toJSON = function()
+    {
+        var result = new Object();
+        for (var i = 0; i < names.length; i++)
+        {
+            if (!this.hasOwnProperty(names[i])) { continue; }
+
+            var value = this[names[i]];
+            if (value !== null && typeof value === "object")
+                value = ETO_Observable.serializeValue(value);
+            result[names[i]] = value;
+        }
+        return result;
+    };
+
+    Model.schema = schema;
+    Model.validateProperty = validateProperty;
+    Model.validate = validate;
+
+    Model.create = function(values)
+    {
+        var result = validate(values);
+        if (!result.success) { return result; }
+
+        // Validate the defaults of the properties without values. The defaults are passed on to
+        // the constructor so that default functions are only called once.
+        var allValues = new Object();
+        var errors = [];
+        for (var i = 0; i < names.length; i++)
+        {
+            var name = names[i];
+            if (values && values.hasOwnProperty(name)) { allValues[name] = values[name]; }
+            else if (props[name]["default"] !== undefined)
+            {
+                allValues[name] = getDefault(name);
+                var defaultResult = validateProperty(name, allValues[name]);
+                if (!defaultResult.success)
+                {
+                    errors.push(new ETO_Result(false, defaultResult.message + " (default value)",
+                        opPrefix + "create"));
+                }
+            }
+        }
+        if (errors.length > 0)
+        {
+            result = new ETO_Result(false, errors.map(function(e) { return e.message; }).join("; "),
+                opPrefix + "create");
+            result.errors = errors;
+            return result;
+        }
+
+        result = new ETO_Result(true, "Created model object", opPrefix + "create");
+        result.value = new Model(allValues);
+        return result;
+    };
+
+    Model.deserialize = function(data)
+    {
+        var opName = opPrefix + "deserialize";
+        if (data === null || typeof data !== "object")
+            return new ETO_Result(false, "Serialized data must be an object", opName);
+
+        // Re-create the non-primitive values first
+        var values = new Object();
+        for (var name in data)
+        {
+            var value = data[name];
+            if (value !== null && typeof value === "object")
+            {
+                var valueResult = ETO_Observable.deserializeValue(value.varType, value.value);
+                if (!valueResult.success)
+                {
+                    return new ETO_Result(false, "Property '" + name + "': " + valueResult.message,
+                        opName);
+                }
+                value = valueResult.value;
+            }
+            values[name] = value;
+        }
+        return Model.create(values);
+    };
+
+    // Register the type so that nested models serialize through the schema
+    if (schema.typeId !== undefined)
+    {
+        var registered = ETO_Observable.registerType(schema.typeId, {
+            "constructor": Model,
+            "serialize": function(model) { return model.toJSON(); },
+            "deserialize": function(data)
+            {
+                var result = Model.deserialize(data);
+                if (!result.success) { throw new Error(result.message); }
+                return result.value;
+            }
+        });
+        if (!registered) { return null; }
+    }
+
+    return Model;
+}
@@ -0,0 +1,358 @@
+// Author:
+//   Evan Thomas Olds
+//
+// History:
+//   October 19, 2026
+//   Original file creation
+//
+// File Dependencies:
+//   ETO_Observable.js
+//
+// Technology Dependencies:
+//   ES 5.1 or later
+//
+// Declared classes (constructor functions) in this file:
+//   ETO_ObservableSet
+
+// ----------------------------------------------------------
+
+// ETO_ObservableSet([options])
+//
+// Constructor function for an observable collection of unique items, kept in insertion order.
+// Items are unique by identity (===), or by the key that a key function returns for them. If the
+// 'options' parameter is provided, it can have the following members:
+//
+// "keyFunction": function(item)
+//   Returns the key for an item. Two items with identical (===) keys are duplicates. Keys should
+//   not change while the item is in the set.
+//
+// "addValidator": function(item)
+//   Same as for ETO_ObservableList: returns true or an ETO_Result. When an item is rejected, the
+//   failed ETO_Result is stored in the set's non-enumerable "lastValidationResult" property (which
+//   is null until then).
+//
+// "objectToCopy" (Array, ETO_ObservableList or ETO_ObservableSet):
+//   Object to copy items from. Duplicates are skipped.
+function ETO_ObservableSet(options)
+{
+    // Storage array of items in insertion order, each as a tuple of the form:
+    // [actualItem, observerHandleIfItemIsETO_Observable, key]
+    Object.defineProperty(this, "m_storage", { "value": [] });
+
+    // Storage tuples by key, for string and number keys. Other keys are searched for linearly.
+    Object.defineProperty(this, "m_keyIndex", { "value": Object.create(null) });
+
+    // The observers of this set
+    Object.defineProperty(this, "m_observers", { "value": [] });
+
+    // Initialize batching, asynchronous delivery and observer error handling state (same as
+    // ETO_Observable)
+    Object.defineProperty(this, "m_batchDepth", { "value": 0, "writable": true });
+    Object.defineProperty(this, "m_batchChanges", { "value": [] });
+    Object.defineProperty(this, "m_asyncDelivery", { "value": null, "writable": true });
+    Object.defineProperty(this, "m_errorHandler", { "value": null, "writable": true });
+
+    Object.defineProperty(this, "m_keyFunction", {
+        "value": (options && options.keyFunction instanceof Function) ? options.keyFunction : null
+    });
+    if (options && options.addValidator instanceof Function)
+    {
+        Object.defineProperty(this, "m_addValidator", { "value": options.addValidator });
+    }
+    Object.defineProperty(this, "lastValidationResult", { "value": null, "writable": true });
+
+    if (options && options.objectToCopy)
+    {
+        var items = ETO_ObservableSet.toItemArray(options.objectToCopy);
+        for (var i = 0; i < items.length; i++)
+            this.add(items[i]);
+    }
+}
+
+// add(item)
+//
+// Adds an item to the end of the set, with an "add" notification. Returns false if the item is a
+// duplicate or is rejected by the addition validator, true otherwise. A rejection by the validator
+// is also stored in lastValidationResult.
+ETO_ObservableSet.prototype.add = function(item)
+{
+    if (this.has(item)) { return false; }
+    if (this.m_addValidator)
+    {
+        var message = ETO_ObservableList.getValidatorMessage(this.m_addValidator(item),
+            "Item was rejected by the addition validator");
+        if (message !== null)
+        {
+            this.lastValidationResult = new ETO_Result(false, message, "ETO_ObservableSet.add");
+            return false;
+        }
+    }
+
+    var key = this.getKey(item);
+    var entry = [item, null, key];
+    entry[1] = this.observeItem(entry);
+    this.m_storage.push(entry);
+    if (ETO_ObservableSet.isIndexedKey(key))
+        this.m_keyIndex[typeof key + ":" + key] = entry;
+
+    var index = this.m_storage.length - 1;
+    this.notifyObservers({
+        "listChangeType": "add",
+        "index": index,
+        "object": this,
+        "name": index.toString()
+    });
+    return true;
+}
+
+// addChangeObserver(callback, userData[, wantsItemChangesToo])
+//
+// Adds a change observer with the same details format as ETO_ObservableList, where "index" is the
+// position in insertion order. The "listChangeType" is "add" or "remove". The set operations
+// (union, intersect, difference and clear) deliver their changes as a single notification with a
+// "changes" array, as with batches.
+ETO_ObservableSet.prototype.addChangeObserver = ETO_ObservableList.prototype.addChangeObserver;
+
+// at(index)
+//
+// Returns the item at the index in insertion order, or undefined if the index is out of range.
+ETO_ObservableSet.prototype.at = ETO_ObservableList.prototype.at;
+
+// batch(func[, thisArg]), beginBatch() and endBatch()
+//
+// Same as for ETO_ObservableList.
+ETO_ObservableSet.prototype.batch = ETO_ObservableList.prototype.batch;
+ETO_ObservableSet.prototype.beginBatch = ETO_ObservableList.prototype.beginBatch;
+
+// clear()
+//
+// Removes every item, with a single notification. Returns the number of items removed.
+ETO_ObservableSet.prototype.clear = function()
+{
+    return this.difference(this.toArray());
+}
+
+// delete(item)
+//
+// Removes the item, or the item with the same key, with a "remove" notification. Returns true if
+// it was in the set.
+ETO_ObservableSet.prototype["delete"] = function(item)
+{
+    var entry = this.findEntry(this.getKey(item));
+    if (!entry) { return false; }
+
+    var index = this.m_storage.indexOf(entry);
+    this.m_storage.splice(index, 1);
+    if (ETO_ObservableSet.isIndexedKey(entry[2]))
+        delete this.m_keyIndex[typeof entry[2] + ":" + entry[2]];
+    if (entry[1]) { entry[0].removeChangeObserver(entry[1]); }
+
+    this.notifyObservers({
+        "listChangeType": "remove",
+        "index": index,
+        "object": this,
+        "name": index.toString(),
+        "oldValue": entry[0]
+    });
+    return true;
+}
+
+// difference(items)
+//
+// Removes every item in 'items' (an array, array-like object, ETO_ObservableList or
+// ETO_ObservableSet) from this set, with a single notification. Returns the number of items removed.
+ETO_ObservableSet.prototype.difference = function(items)
+{
+    items = ETO_ObservableSet.toItemArray(items);
+    var count = 0;
+    this.batch(function()
+    {
+        for (var i = 0; i < items.length; i++)
+        {
+            if (this["delete"](items[i])) { count++; }
+        }
+    }, this);
+    return count;
+}
+
+ETO_ObservableSet.prototype.endBatch = ETO_ObservableList.prototype.endBatch;
+
+// findEntry(key)
+//
+// Private function that returns the storage tuple with the key, or null if there is none.
+ETO_ObservableSet.prototype.findEntry = function(key)
+{
+    if (ETO_ObservableSet.isIndexedKey(key))
+    {
+        var entry = this.m_keyIndex[typeof key + ":" + key];
+        return entry ? entry : null;
+    }
+
+    for (var i = 0; i < this.m_storage.length; i++)
+    {
+        if (this.m_storage[i][2] === key) { return this.m_storage[i]; }
+    }
+    return null;
+}
+Object.defineProperty(ETO_ObservableSet.prototype, "findEntry",
+{ "value": ETO_ObservableSet.prototype.findEntry });
+
+// flush()
+//
+// Same as ETO_Observable.flush, but for the set.
+ETO_ObservableSet.prototype.flush = ETO_ObservableList.prototype.flush;
+
+// forEach(callback[, thisArg])
+//
+// Calls callback(item, index, set) for each item in insertion order.
+ETO_ObservableSet.prototype.forEach = function(callback, thisArg)
+{
+    var items = this.toArray();
+    for (var i = 0; i < items.length; i++)
+        callback.call(thisArg, items[i], i, this);
+}
+
+// getKey(item)
+//
+// Private function that returns the key of an item, which is the item itself if there is no key
+// function.
+ETO_ObservableSet.prototype.getKey = function(item)
+{
+    return this.m_keyFunction ? this.m_keyFunction(item) : item;
+}
+Object.defineProperty(ETO_ObservableSet.prototype, "getKey",
+{ "value": ETO_ObservableSet.prototype.getKey });
+
+// has(item)
+//
+// Returns true if the set has the item, or an item with the same key.
+ETO_ObservableSet.prototype.has = function(item)
+{
+    return this.findEntry(this.getKey(item)) !== null;
+}
+
+// intersect(items)
+//
+// Removes every item of this set that is not in 'items' (an array, array-like object,
+// ETO_ObservableList or ETO_ObservableSet), with a single notification. Returns the number of items
+// removed.
+ETO_ObservableSet.prototype.intersect = function(items)
+{
+    // Look up table of the keys of the items, like m_keyIndex, with the other keys in an array
+    items = ETO_ObservableSet.toItemArray(items);
+    var keyIndex = Object.create(null);
+    var otherKeys = [];
+    for (var i = 0; i < items.length; i++)
+    {
+        var key = this.getKey(items[i]);
+        if (ETO_ObservableSet.isIndexedKey(key)) { keyIndex[typeof key + ":" + key] = true; }
+        else { otherKeys.push(key); }
+    }
+
+    var us = this;
+    return this.difference(this.toArray().filter(function(item)
+    {
+        var key = us.getKey(item);
+        if (ETO_ObservableSet.isIndexedKey(key)) { return !keyIndex[typeof key + ":" + key]; }
+        return otherKeys.indexOf(key) == -1;
+    }));
+}
+
+// observerCount
+//
+// Read-only property with the number of observers currently attached to this set.
+Object.defineProperty(ETO_ObservableSet.prototype, "observerCount",
+{ "get": function() { return this.m_observers.length; } } );
+
+// once(callbackFunc[, userData, wantsItemChangesToo])
+//
+// Same as for ETO_ObservableList.
+ETO_ObservableSet.prototype.once = ETO_ObservableList.prototype.once;
+
+// Private functions shared with ETO_ObservableList. The storage tuples start with the same two
+// members as those of ETO_ObservableList, so item observers can be shared too.
+Object.defineProperty(ETO_ObservableSet.prototype, "beginDispatch",
+{ "value": ETO_ObservableList.prototype.beginDispatch });
+Object.defineProperty(ETO_ObservableSet.prototype, "callObserver",
+{ "value": ETO_ObservableList.prototype.callObserver });
+Object.defineProperty(ETO_ObservableSet.prototype, "checkObserversChangeDuringDispatch",
+{ "value": ETO_ObservableList.prototype.checkObserversChangeDuringDispatch });
+Object.defineProperty(ETO_ObservableSet.prototype, "deliverToObservers",
+{ "value": ETO_ObservableList.prototype.deliverToObservers });
+Object.defineProperty(ETO_ObservableSet.prototype, "notifyObservers",
+{ "value": ETO_ObservableList.prototype.notifyObservers });
+Object.defineProperty(ETO_ObservableSet.prototype, "observeItem",
+{ "value": ETO_ObservableList.prototype.observeItem });
+Object.defineProperty(ETO_ObservableSet.prototype, "queueNotification",
+{ "value": ETO_ObservableList.prototype.queueNotification });
+Object.defineProperty(ETO_ObservableSet.prototype, "reportObserverError",
+{ "value": ETO_ObservableList.prototype.reportObserverError });
+Object.defineProperty(ETO_ObservableSet.prototype, "scheduleFlush",
+{ "value": ETO_ObservableList.prototype.scheduleFlush });
+
+// removeChangeObserver(observerHandle)
+//
+// Removes an observer added with addChangeObserver or once. Returns true if it was found.
+ETO_ObservableSet.prototype.removeChangeObserver = ETO_ObservableList.prototype.removeChangeObserver;
+
+// setDeliveryMode(mode[, scheduler]) and setObserverErrorHandler(handler)
+//
+// Same as for ETO_Observable.
+ETO_ObservableSet.prototype.setDeliveryMode = ETO_ObservableList.prototype.setDeliveryMode;
+ETO_ObservableSet.prototype.setObserverErrorHandler = ETO_ObservableList.prototype.setObserverErrorHandler;
+
+// size
+//
+// Read-only property with the number of items.
+Object.defineProperty(ETO_ObservableSet.prototype, "size",
+{ "get": function() { return this.m_storage.length; } } );
+
+// toArray()
+//
+// Returns an array of the items, in insertion order.
+ETO_ObservableSet.prototype.toArray = ETO_ObservableList.prototype.toArray;
+
+ETO_ObservableSet.prototype.toString = function()
+{
+    return "[object ETO_ObservableSet]";
+}
+
+// union(items)
+//
+// Adds every item in 'items' (an array, array-like object, ETO_ObservableList or
+// ETO_ObservableSet) that is not already in this set, with a single notification. Items rejected
+// by the addition validator are skipped. Returns the number of items added.
+ETO_ObservableSet.prototype.union = function(items)
+{
+    items = ETO_ObservableSet.toItemArray(items);
+    var count = 0;
+    this.batch(function()
+    {
+        for (var i = 0; i < items.length; i++)
+        {
+            if (this.add(items[i])) { count++; }
+        }
+    }, this);
+    return count;
+}
+
+// ETO_ObservableSet.isIndexedKey(key)
+//
+// Private static function that returns true for keys kept in the key index.
+ETO_ObservableSet.isIndexedKey = function(key)
+{
+    return typeof key === "string" || typeof key === "number";
+}
+Object.defineProperty(ETO_ObservableSet, "isIndexedKey", { "value": ETO_ObservableSet.isIndexedKey });
+
+// ETO_ObservableSet.toItemArray(items)
+//
+// Private static function that returns a new array of the items in an array, array-like object,
+// ETO_ObservableList or ETO_ObservableSet.
+ETO_ObservableSet.toItemArray = function(items)
+{
+    if (items instanceof ETO_ObservableList || items instanceof ETO_ObservableSet)
+        return items.toArray();
+    return Array.prototype.slice.call(items);
+}
+Object.defineProperty(ETO_ObservableSet, "toItemArray", { "value": ETO_ObservableSet.toItemArray });
@@ -13,10 +13,11 @@
 //
 // Declared classes (constructor functions) in this file:
 // ETO_UndoRedoSystem
+// ETO_UndoRecorder
 
 // ----------------------------------------------------------
 
-// ETO_UndoRedoSystem()
+// ETO_UndoRedoSystem([options])
 //
 // Constructor function for undo/redo system. Inherits from ETO_Observable and provides 
 // notifications when any of the following properties change:
@@ -24,12 +25,27 @@
 // - redoText
 // - undoCount
 // - redoCount
-function ETO_UndoRedoSystem()
+// - currentNode
+// - isDirty
+//
+// By default the undo and redo stacks grow without bound. If the 'options' parameter is provided, 
+// it can have the members described for setLimits to limit the size of the history, a 
+// "mergeWindow" member with the initial value of the mergeWindow property, and a "treeMode" member.
+//
+// The history is a tree of nodes (see currentNode), where each node is a state reached by an undo 
+// added after its parent's state. If "treeMode" is true, adding an undo after undoing keeps the 
+// undone redos as a branch of the tree that can be returned to with jumpTo. Otherwise, which is 
+// the default, adding an undo discards the redos, so the tree is a single path. Either way, the 
+// undo stack holds the path from the root to the current node, and the redo stack holds the 
+// active branch below the current node, so undoText, redoText, undoCount and redoCount are those 
+// of the active branch.
+function ETO_UndoRedoSystem(options)
 {
     // First call the "parent class" constructor
     ETO_Observable.call(this);
     
-    // Initialize the stacks for undos and redos
+    // Initialize the stacks for undos and redos. Each item on a stack is a 
+    // [text,cmd,cost,time,node] tuple.
     this.addProperty("m_undos", new Array(), false, false, false);
     this.addProperty("m_redos", new Array(), false, false, false);
     
@@ -37,6 +53,37 @@ function ETO_UndoRedoSystem()
     this.addProperty("undoText", "Undo", false, true, true);
     this.addProperty("redoText", "Redo", false, true, true);
 
+    // Depth of command execution by this system. Nonzero while an undo, redo or the command 
+    // passed to execWithUndo is being executed.
+    Object.defineProperty(this, "m_execDepth", { "value": 0, "writable": true });
+
+    // History limits (see setLimits). Zero means no limit.
+    Object.defineProperty(this, "m_maxDepth", { "value": 0, "writable": true });
+    Object.defineProperty(this, "m_maxCost", { "value": 0, "writable": true });
+    Object.defineProperty(this, "m_costFunction", { "value": null, "writable": true });
+
+    // Command merging state (see mergeWindow). Merging into the top undo is allowed while 
+    // m_canMerge is true.
+    Object.defineProperty(this, "m_mergeWindow", { "value": 0, "writable": true });
+    Object.defineProperty(this, "m_canMerge", { "value": false, "writable": true });
+
+    // Open undo groups, innermost last, as [text, arrayOfUndoCmds] tuples (see beginGroup)
+    Object.defineProperty(this, "m_groups", { "value": [] });
+
+    // History tree state (see currentNode)
+    Object.defineProperty(this, "m_treeMode", { "value": !!(options && options.treeMode === true) });
+    Object.defineProperty(this, "m_root", { "value": ETO_UndoRedoSystem.makeNode(null), "writable": true });
+    Object.defineProperty(this, "m_setCurrentNode", {
+        "value": this.addPropertyWithPrivateSet("currentNode", this.m_root, false)
+    });
+
+    // Save point state (see markSavePoint). The saved node is null once it has been discarded 
+    // from the tree. A new system starts out clean.
+    Object.defineProperty(this, "m_savedNode", { "value": this.m_root, "writable": true });
+    Object.defineProperty(this, "m_setIsDirty", {
+        "value": this.addPropertyWithPrivateSet("isDirty", false, true)
+    });
+
     // Get a reference to 'this' for function closures
     var us = this;
 
@@ -53,17 +100,124 @@ function ETO_UndoRedoSystem()
     	"configurable": false,
     	"get": function() { return us.m_redos.length; }
     });
+
+    if (options)
+    {
+        this.setLimits(options);
+        if (options.mergeWindow !== undefined) { this.mergeWindow = options.mergeWindow; }
+    }
 }
 
 // Inherit from ETO_Observable
 ETO_UndoRedoSystem.prototype = Object.create(ETO_Observable.prototype);
 
+// currentNode
+//
+// Read-only, observable property with the node of the history tree for the current state. Nodes 
+// are objects with the following read-only members:
+//
+// "children":
+//   Array of the child nodes, oldest first. In tree mode, each child starts a branch.
+//
+// "parent":
+//   The parent node, or null for the root node. The root is the oldest state that can be returned 
+//   to, so it changes when undos are evicted (see setLimits).
+//
+// "text":
+//   Null for the root node. Otherwise the undo text of the node if it is the current node or one 
+//   of its ancestors, or its redo text if not.
+
+// groupDepth
+//
+// Read-only property with the number of open undo groups (see beginGroup). Not observable.
+Object.defineProperty(ETO_UndoRedoSystem.prototype, "groupDepth",
+{ "get": function() { return this.m_groups.length; } } );
+
+// isDirty
+//
+// Read-only, observable property that is false when the current state is the one marked with 
+// markSavePoint, and true otherwise. It follows the save point through undos, redos and jumpTo, so 
+// undoing past the save point and redoing back to it is clean again. If the save point is 
+// discarded from the history, for example by adding an undo after undoing past it outside of tree 
+// mode, by eviction, or by clear() while dirty, it stays true until the next markSavePoint. 
+// Changes collected in an open undo group are not reflected until the group ends.
+
+// isExecuting
+//
+// Read-only property that is true while this system is executing an undo, a redo, or the command 
+// passed to execWithUndo. Not observable.
+Object.defineProperty(ETO_UndoRedoSystem.prototype, "isExecuting",
+{ "get": function() { return this.m_execDepth > 0; } } );
+
+// isTreeMode
+//
+// Read-only property that is true if the "treeMode" option was true when this system was 
+// created. Not observable.
+Object.defineProperty(ETO_UndoRedoSystem.prototype, "isTreeMode",
+{ "get": function() { return this.m_treeMode; } } );
+
+// maxCost
+//
+// Read-only property with the maximum total cost of the undo and redo stacks, or 0 if there is 
+// no limit. Not observable. Use setLimits to change it.
+Object.defineProperty(ETO_UndoRedoSystem.prototype, "maxCost",
+{ "get": function() { return this.m_maxCost; } } );
+
+// maxDepth
+//
+// Read-only property with the maximum number of undos, or 0 if there is no limit. Not observable. 
+// Use setLimits to change it.
+Object.defineProperty(ETO_UndoRedoSystem.prototype, "maxDepth",
+{ "get": function() { return this.m_maxDepth; } } );
+
+// mergeWindow
+//
+// Time in milliseconds within which consecutive undos can be merged, or 0 (the default) to never 
+// merge. When an undo is added, it is merged into the undo at the top of the stack if all of the 
+// following are true:
+// - The top undo was added or last merged into less than mergeWindow milliseconds ago.
+// - Nothing has broken the merge since then. Undos, redos, clear() and breakMerge() break it.
+// - The new undo has a mergesWith(previousCmd) function that returns true for the top undo.
+// Merging keeps the top undo, which is the original inverse, and its text, and drops the new one. 
+// For example, consecutive ETO_SetPropertyCmd commands for the same property passed to execWithUndo 
+// merge into a single undo that sets the property back to its value before the first one. Not 
+// observable.
+Object.defineProperty(ETO_UndoRedoSystem.prototype, "mergeWindow",
+{
+    "get": function() { return this.m_mergeWindow; },
+    "set": function(value)
+    {
+        this.m_mergeWindow = (typeof value === "number" && value > 0) ? value : 0;
+    }
+} );
+
+// rootNode
+//
+// Read-only property with the root node of the history tree (see currentNode). Not observable.
+Object.defineProperty(ETO_UndoRedoSystem.prototype, "rootNode",
+{ "get": function() { return this.m_root; } } );
+
+// totalCost
+//
+// Read-only property with the sum of the cost estimates of all undos and redos, including those 
+// of inactive branches in tree mode. Not observable.
+Object.defineProperty(ETO_UndoRedoSystem.prototype, "totalCost",
+{ "get": function()
+{
+    var nodes = ETO_UndoRedoSystem.getSubtree(this.m_root);
+    var total = 0;
+    for (var i = 1; i < nodes.length; i++)
+        total += nodes[i].m_entry[2];
+    return total;
+} } );
+
 // addUndo(text, commandObject)
 // addUndo(text, arrayOfCommandObjects)
 //
 // Adds undos to the top of the undo stack. Each undo object must be a command object 
 // with an exec() function. See the implementation of ETO_SetPropertyCmd in this file 
-// for an example command object implementation.
+// for an example command object implementation. While an undo group is open, the undos 
+// are collected into the innermost group instead (see beginGroup).
 ETO_UndoRedoSystem.prototype.addUndo = function(text, cmdOrArrOfCmds)
 {
     // If the second parmeter is an array, we package it up into an ETO_InvertibleCmds object
@@ -71,42 +225,97 @@ ETO_UndoRedoSystem.prototype.addUndo = function(text, cmdOrArrOfCmds)
     {
         cmdOrArrOfCmds = new ETO_InvertibleCmds(cmdOrArrOfCmds);
     }
+
+    if (this.m_groups.length > 0)
+    {
+        this.m_groups[this.m_groups.length - 1][1].push(cmdOrArrOfCmds);
+        return true;
+    }
+
+    // Merge into the top undo if possible (see mergeWindow)
+    if (this.canMergeUndo(cmdOrArrOfCmds))
+    {
+        this.m_undos[this.m_undos.length - 1][3] = Date.now();
+        return true;
+    }
     
-    // Push onto the undo stack
-    this.m_undos.push([text, cmdOrArrOfCmds]);
-    
-    // Since we inherit from ETO_Observable, changing undoText will notify observers 
-    // appropriately.
-    this.undoText = text;
-    
-    // Adding a new undo clears the redo stack
-    var previousRedoCount = this.redoCount;
+	var previousUndoCount = this.undoCount;
+	var previousRedoCount = this.redoCount;
+
+    // Push onto the undo stack, as a new child of the current node. Adding a new undo clears 
+    // the redo stack. Outside of tree mode, the redos are discarded from the tree too.
+    var parent = this.currentNode;
+    if (!this.m_treeMode) { parent.m_children.splice(0); }
+    var node = ETO_UndoRedoSystem.makeNode(parent);
+    parent.m_children.push(node);
+    parent.m_activeChild = node;
+    this.m_undos.push(this.makeEntry(text, cmdOrArrOfCmds, node));
     this.m_redos.splice(0);
+
+    // Since we inherit from ETO_Observable, changing undoText and redoText will notify 
+    // observers appropriately.
+    this.undoText = text;
     this.redoText = "Redo";
+    this.m_canMerge = true;
+
+    // The current node is set last, so that its observers see the new texts and counts
+    this.enforceLimits(previousUndoCount, previousRedoCount);
+    this.m_setCurrentNode(node);
+    this.updateIsDirty();
+    return true;
+}
 
-    // Notify observers that undoCount has increased by 1
-    this.notifyAll({
-		"name": "undoCount",
-		"oldValue": this.m_undos.length - 1,
-		"object": this
-	});
+// abortGroup()
+//
+// Closes the innermost undo group without adding an undo, rolling back the changes made in it by 
+// executing its collected undos in reverse order. Returns false if no group is open, true 
+// otherwise. If an undo throws, the remaining undos are still executed, and then the first error 
+// is thrown. The group is closed either way.
+ETO_UndoRedoSystem.prototype.abortGroup = function()
+{
+    if (this.m_groups.length === 0) { return false; }
 
-    // If the redoCount property changed, notify observers
-    if (previousRedoCount != 0)
+    var cmds = this.m_groups.pop()[1];
+    var firstError = null;
+    for (var i = cmds.length - 1; i >= 0; i--)
     {
-    	this.notifyAll({
-    		"name": "redoCount",
-    		"oldValue": previousRedoCount,
-    		"object": this
-    	});
+        try
+        {
+            this.execCmd(cmds[i]);
+        }
+        catch (err)
+        {
+            if (!firstError) { firstError = { "error": err }; }
+        }
     }
-    
+    if (firstError) { throw firstError.error; }
     return true;
 }
 
+// beginGroup(text)
+//
+// Opens an undo group with the specified text. Until the matching endGroup(), every undo added, 
+// including those of execWithUndo, is collected into the group rather than put on the undo stack. 
+// Groups can be nested, in which case the text of the outermost group is used and the undo is 
+// added by the outermost endGroup(). Undos and redos are ignored while a group is open.
+ETO_UndoRedoSystem.prototype.beginGroup = function(text)
+{
+    this.m_groups.push([text, []]);
+}
+
+// breakMerge()
+//
+// Prevents the next undo added from being merged into the current top undo, for example when the 
+// user moves to another field or pauses typing. See mergeWindow.
+ETO_UndoRedoSystem.prototype.breakMerge = function()
+{
+    this.m_canMerge = false;
+}
+
 // clear()
 //
-// Clears the undo and redo stacks
+// Clears the undo and redo stacks, and the history tree. Open undo groups are closed without adding 
+// an undo or rolling back their changes, which can then no longer be undone.
 ETO_UndoRedoSystem.prototype.clear = function()
 {
 	var previousUndoCount = this.undoCount;
@@ -116,123 +325,833 @@ ETO_UndoRedoSystem.prototype.clear = function()
     this.m_redos.splice(0);
     this.undoText = "Undo";
     this.redoText = "Redo";
+    this.m_canMerge = false;
 
-    // undoCount is reset to 0, since the array was cleared. If the previous value 
-    // was not 0, then observers must be notified.
-    if (previousUndoCount != 0)
+    // Discard open groups. Changes made in them mean the state is no longer the saved one.
+    var hasGroupChanges = false;
+    for (var i = 0; i < this.m_groups.length; i++)
     {
-    	this.notifyAll({
-    		"name": "undoCount",
-    		"oldValue": previousUndoCount,
-    		"object": this
-    	});
+        if (this.m_groups[i][1].length > 0) { hasGroupChanges = true; }
     }
+    this.m_groups.splice(0);
+
+    // The state is kept, so it stays clean if it was clean
+    var wasSaved = (this.currentNode === this.m_savedNode && !hasGroupChanges);
+    this.m_root = ETO_UndoRedoSystem.makeNode(null);
+    this.m_savedNode = wasSaved ? this.m_root : null;
+    this.m_setCurrentNode(this.m_root);
 
-    // redoCount is reset to 0, since the array was cleared. If the previous value 
-    // was not 0, then observers must be notified.
-    if (previousRedoCount != 0)
+    // Both counts are reset to 0, so observers are notified of any that were not 0
+    this.notifyCountChanges(previousUndoCount, previousRedoCount);
+    this.updateIsDirty();
+}
+
+// endGroup()
+//
+// Closes the innermost undo group opened by beginGroup. When the outermost group is closed and 
+// undos were collected, a single ETO_InvertibleCmds undo that executes them in reverse order is 
+// added with the group's text. Returns true if an undo was added.
+ETO_UndoRedoSystem.prototype.endGroup = function()
+{
+    if (this.m_groups.length === 0) { return false; }
+
+    var group = this.m_groups.pop();
+    if (this.m_groups.length > 0)
     {
-    	this.notifyAll({
-    		"name": "redoCount",
-    		"oldValue": previousRedoCount,
-    		"object": this
-    	});
+        // Nested groups pass their undos on to the enclosing group
+        var outerCmds = this.m_groups[this.m_groups.length - 1][1];
+        outerCmds.push.apply(outerCmds, group[1]);
+        return false;
+    }
+
+    if (group[1].length === 0) { return false; }
+    return this.addUndo(group[0], group[1].reverse());
+}
+
+// execCmd(cmd)
+//
+// Executes a command object while isExecuting is true and returns the command's return value. 
+// Used internally for undos, redos and execWithUndo.
+ETO_UndoRedoSystem.prototype.execCmd = function(cmd)
+{
+    this.m_execDepth++;
+    try
+    {
+        return cmd.exec();
+    }
+    finally
+    {
+        this.m_execDepth--;
     }
 }
 
 // execRedo()
 //
 // Executes the redo at the top of the undo stack and pushes an appropriate undo onto the undo
-// stack. Does nothing if the redo stack is empty.
+// stack. Does nothing if the redo stack is empty or an undo group is open.
 ETO_UndoRedoSystem.prototype.execRedo = function()
 {
-	if (this.m_redos.length === 0) { return; }
+	if (this.m_redos.length === 0 || this.m_groups.length > 0) { return; }
     
-    // Each item on the stack is a [text,cmd] tuple
+	var previousUndoCount = this.undoCount;
+	var previousRedoCount = this.redoCount;
+
+    // Each item on the stack is a [text,cmd,cost,time,node] tuple
     var redoPair = this.m_redos.pop();
     
     // Execute the command and store the returned undo
-    var undo = redoPair[1].exec();
+    var undo = this.execCmd(redoPair[1]);
     
     // Make the undo text string and add the undo
     var undoText = redoPair[0].replace("Redo", "Undo");
-    this.m_undos.push([undoText, undo]);
-    this.undoText = undoText;
-
-    // Notify observers that undoCount has increased by 1
-    this.notifyAll({
-		"name": "undoCount",
-		"oldValue": this.m_undos.length - 1,
-		"object": this
-	});
-    
-    // Update the redo text
-    if (this.m_redos.length === 0)
-        this.redoText = "Redo";
-    else
-        this.redoText = this.m_redos[this.m_redos.length - 1][0];
+    this.m_undos.push(this.makeEntry(undoText, undo, redoPair[4]));
+    this.updateTexts();
+    this.m_canMerge = false;
 
-    // Notify that the redo count has decreased by 1
-    this.notifyAll({
-		"name": "redoCount",
-		"oldValue": this.m_redos.length + 1,
-		"object": this
-	});
+    // The undo may have a different cost than the redo, so limits are checked again. The current 
+    // node is set last, as in addUndo.
+    this.enforceLimits(previousUndoCount, previousRedoCount);
+    this.m_setCurrentNode(redoPair[4]);
+    this.updateIsDirty();
 }
 
 // execUndo()
 //
 // Executes the undo at the top of the undo stack and pushes an appropriate redo onto the redo
-// stack. Does nothing if the undo stack is empty.
+// stack. Does nothing if the undo stack is empty or an undo group is open.
 ETO_UndoRedoSystem.prototype.execUndo = function()
 {
-    if (this.m_undos.length === 0) { return; }
+    if (this.m_undos.length === 0 || this.m_groups.length > 0) { return; }
     
-    // Each item on the stack is a [text,cmd] tuple
+	var previousUndoCount = this.undoCount;
+	var previousRedoCount = this.redoCount;
+
+    // Each item on the stack is a [text,cmd,cost,time,node] tuple
     var undoPair = this.m_undos.pop();
     
     // Execute the command and store the returned redo
-    var redo = undoPair[1].exec();
+    var redo = this.execCmd(undoPair[1]);
     
     // Make the redo text string and add the redo
     var redoText = undoPair[0].replace("Undo", "Redo");
-    this.m_redos.push([redoText, redo]);
-    this.redoText = redoText;
-
-    // Notify that the redo count has increased by 1
-    this.notifyAll({
-		"name": "redoCount",
-		"oldValue": this.m_redos.length - 1,
-		"object": this
-	});
-    
-    // Update the undo text
-    if (this.m_undos.length === 0)
-        this.undoText = "Undo";
-    else
-        this.undoText = this.m_undos[this.m_undos.length - 1][0];
+    this.m_redos.push(this.makeEntry(redoText, redo, undoPair[4]));
+    this.updateTexts();
+    this.m_canMerge = false;
 
-    // Notify observers that undoCount has decreased by 1
-    this.notifyAll({
-		"name": "undoCount",
-		"oldValue": this.m_undos.length + 1,
-		"object": this
-	});
+    // The redo may have a different cost than the undo, so limits are checked again. The current 
+    // node is set last, as in addUndo.
+    this.enforceLimits(previousUndoCount, previousRedoCount);
+    this.m_setCurrentNode(undoPair[4].m_parent);
+    this.updateIsDirty();
 }
 
 // execWithUndo(undoText, cmd)
 //
-// Executes an invertible command object and creates an undo for it.
+// Executes an invertible command object and creates an undo for it. The undo may be merged into 
+// the previous one (see mergeWindow).
 ETO_UndoRedoSystem.prototype.execWithUndo = function(undoText, cmd)
 {
     // First execute the command
-    var undoCmd = cmd.exec();
+    var undoCmd = this.execCmd(cmd);
     
-    // If return value is non-null, add the undo
+    // If return value is non-null, add the undo. It is added as-is, rather than in an array, so 
+    // that its mergesWith function is used.
     if (undoCmd != null)
     {
-        this.addUndo(undoText, [undoCmd]);
+        this.addUndo(undoText, undoCmd);
         return true;
     }
     return false;
 }
+
+// getBranches()
+//
+// Returns an array of the leaf nodes of the history tree, each being the end of a branch, in 
+// depth-first order with older branches first. Outside of tree mode there is at most one. See 
+// currentNode.
+ETO_UndoRedoSystem.prototype.getBranches = function()
+{
+    return ETO_UndoRedoSystem.getSubtree(this.m_root).filter(function(node)
+    {
+        return node.m_children.length === 0 && node.m_parent !== null;
+    });
+}
+
+// group(text, func[, thisArg])
+//
+// Calls func between beginGroup(text) and endGroup() and returns its return value. If the function 
+// throws, the group is aborted with abortGroup() and the exception is rethrown.
+ETO_UndoRedoSystem.prototype.group = function(text, func, thisArg)
+{
+    this.beginGroup(text);
+    var result;
+    try
+    {
+        result = func.call(thisArg);
+    }
+    catch (e)
+    {
+        this.abortGroup();
+        throw e;
+    }
+    this.endGroup();
+    return result;
+}
+
+// jumpTo(node)
+//
+// Moves to the state of a node of the history tree by executing undos up to the closest common 
+// ancestor of the current node and that node, then redos down to it. The branch leading to the 
+// node becomes the active branch. Returns true if the current node is the node when done, or 
+// false if the node is not in the tree, an undo group is open, or limits evicted part of the path 
+// while moving. Observers get the same notifications as for each of the undos and redos, and for 
+// the change of the active branch in between. Use batch to get them as a single notification.
+ETO_UndoRedoSystem.prototype.jumpTo = function(node)
+{
+    if (this.m_groups.length > 0 || !this.isInTree(node)) { return false; }
+
+    // Undo until the current node is an ancestor of the node, or the node itself
+    while (!this.isAncestor(this.currentNode, node) && this.m_undos.length > 0)
+        this.execUndo();
+
+    // Make the path down to the node the active branch
+    if (!this.isAncestor(this.currentNode, node)) { return false; }
+    var path = [];
+    for (var n = node; n !== this.currentNode; n = n.m_parent)
+    {
+        n.m_parent.m_activeChild = n;
+        path.push(n);
+    }
+    var previousRedoCount = this.redoCount;
+    this.syncRedos();
+    this.updateTexts();
+    this.notifyCountChanges(this.undoCount, previousRedoCount);
+
+    // Redo down to the node
+    while (path.length > 0 && this.m_redos.length > 0 &&
+        this.m_redos[this.m_redos.length - 1][4] === path[path.length - 1])
+    {
+        path.pop();
+        this.execRedo();
+    }
+    return this.currentNode === node;
+}
+
+// markSavePoint()
+//
+// Marks the current state as saved, making isDirty false. Also breaks merging (see mergeWindow), 
+// so that later changes are not merged into the undo that leads to the saved state.
+ETO_UndoRedoSystem.prototype.markSavePoint = function()
+{
+    this.m_savedNode = this.currentNode;
+    this.breakMerge();
+    this.updateIsDirty();
+}
+
+// setLimits(options)
+//
+// Sets limits on the size of the undo/redo history. The 'options' object can have the following 
+// members, and members that are not present keep their current values:
+//
+// "maxDepth" (number):
+//   Maximum number of undos. When an undo is added past the limit, the oldest undo is evicted. 
+//   0 means no limit, which is the default.
+//
+// "maxCost" (number):
+//   Maximum total cost of the undos and redos. While the total is over the limit, the oldest undos 
+//   are evicted. If there are no undos left, the inactive branches in tree mode are evicted, and 
+//   then the redos farthest from the current state. 0 means no limit, which is the default.
+//
+// "costFunction": function(cmd, text)
+//   Returns the cost estimate of a command on one of the stacks. If null, which is the default, the 
+//   command's estimateCost() function is used, or a cost of 1 for commands without one. See 
+//   ETO_InvertibleCmd.estimateCost.
+//
+// Eviction notifies observers of the undoCount and redoCount changes and then sends an "evicted" 
+// notification, with "name" set to "evicted" and an "evicted" member that is an array of 
+// {"text", "cmd", "isRedo"} objects for the evicted entries. Evicted commands can no longer be 
+// executed through this system. When an undo is evicted, its node becomes the new root node, and in 
+// tree mode the branches of the old root are evicted along with it. The "evicted" notification is 
+// delivered like the others, so during a batch it is one of the batch's changes, with its 
+// "evicted" member.
+//
+// The new limits are applied right away. Returns the number of entries evicted.
+ETO_UndoRedoSystem.prototype.setLimits = function(options)
+{
+    if (typeof options.maxDepth === "number") { this.m_maxDepth = Math.max(0, options.maxDepth); }
+    if (typeof options.maxCost === "number") { this.m_maxCost = Math.max(0, options.maxCost); }
+    if (options.costFunction !== undefined)
+    {
+        this.m_costFunction = (options.costFunction instanceof Function) ? options.costFunction : null;
+
+        // Re-estimate what is already in the history
+        var nodes = ETO_UndoRedoSystem.getSubtree(this.m_root);
+        for (var i = 1; i < nodes.length; i++)
+            nodes[i].m_entry[2] = this.estimateCost(nodes[i].m_entry[1], nodes[i].m_entry[0]);
+    }
+
+    var evictedCount = this.enforceLimits(this.undoCount, this.redoCount);
+    this.updateIsDirty();
+    return evictedCount;
+}
+
+// Private helper functions follow
+
+// canMergeUndo(cmd)
+//
+// Returns true if the undo command can be merged into the top undo (see mergeWindow).
+ETO_UndoRedoSystem.prototype.canMergeUndo = function(cmd)
+{
+    if (!this.m_canMerge || this.m_mergeWindow === 0 || this.m_undos.length === 0) { return false; }
+
+    var top = this.m_undos[this.m_undos.length - 1];
+    if (Date.now() - top[3] >= this.m_mergeWindow) { return false; }
+    return (cmd.mergesWith instanceof Function) && cmd.mergesWith(top[1]) === true;
+}
+Object.defineProperty(ETO_UndoRedoSystem.prototype, "canMergeUndo",
+{ "value": ETO_UndoRedoSystem.prototype.canMergeUndo });
+
+// enforceLimits(previousUndoCount, previousRedoCount)
+//
+// Evicts the oldest entries until the stacks are within the limits, updates the texts, notifies 
+// observers of count changes since the previous counts, and then sends the "evicted" notification 
+// if anything was evicted. Returns the number of entries evicted.
+ETO_UndoRedoSystem.prototype.enforceLimits = function(previousUndoCount, previousRedoCount)
+{
+    var evicted = [];
+    var total = (this.m_maxCost > 0) ? this.totalCost : 0;
+
+    // Removes the nodes of a subtree from the tree and adds their entries to the evicted entries
+    var evictSubtree = function(node)
+    {
+        var parent = node.m_parent;
+        parent.m_children.splice(parent.m_children.indexOf(node), 1);
+        if (parent.m_activeChild === node) { parent.m_activeChild = null; }
+
+        var nodes = ETO_UndoRedoSystem.getSubtree(node);
+        for (var i = 0; i < nodes.length; i++)
+        {
+            var entry = nodes[i].m_entry;
+            evicted.push({ "text": entry[0], "cmd": entry[1], "isRedo": true });
+            total -= entry[2];
+        }
+    };
+
+    // Evicts the oldest undo. Its node becomes the root, and the other branches of the old root 
+    // are evicted.
+    var us = this;
+    var evictOldestUndo = function()
+    {
+        var entry = us.m_undos.shift();
+        var node = entry[4];
+        evicted.push({ "text": entry[0], "cmd": entry[1], "isRedo": false });
+        total -= entry[2];
+
+        var siblings = us.m_root.m_children.filter(function(n) { return n !== node; });
+        for (var i = 0; i < siblings.length; i++)
+            evictSubtree(siblings[i]);
+        node.m_parent = null;
+        node.m_entry = null;
+        us.m_root = node;
+    };
+
+    if (this.m_maxDepth > 0)
+    {
+        while (this.m_undos.length > this.m_maxDepth)
+            evictOldestUndo();
+    }
+    if (this.m_maxCost > 0)
+    {
+        while (total > this.m_maxCost && this.m_undos.length > 0)
+            evictOldestUndo();
+        for (var branch = this.findInactiveBranch(); total > this.m_maxCost && branch;
+            branch = this.findInactiveBranch())
+        {
+            evictSubtree(branch);
+        }
+        while (total > this.m_maxCost && this.m_redos.length > 0)
+            evictSubtree(this.m_redos.shift()[4]);
+    }
+
+    this.updateTexts();
+    this.notifyCountChanges(previousUndoCount, previousRedoCount);
+    if (evicted.length > 0) { this.notifyEvicted(evicted); }
+    return evicted.length;
+}
+Object.defineProperty(ETO_UndoRedoSystem.prototype, "enforceLimits",
+{ "value": ETO_UndoRedoSystem.prototype.enforceLimits });
+
+// estimateCost(cmd, text)
+//
+// Returns the cost estimate of a command, from the cost function if there is one.
+ETO_UndoRedoSystem.prototype.estimateCost = function(cmd, text)
+{
+    var cost;
+    if (this.m_costFunction) { cost = this.m_costFunction(cmd, text); }
+    else { cost = (cmd.estimateCost instanceof Function) ? cmd.estimateCost() : 1; }
+    return (typeof cost === "number" && cost >= 0) ? cost : 0;
+}
+Object.defineProperty(ETO_UndoRedoSystem.prototype, "estimateCost",
+{ "value": ETO_UndoRedoSystem.prototype.estimateCost });
+
+// findInactiveBranch()
+//
+// Returns the first node found that is a child of a node on the active path, from the root 
+// through the current node to the end of the active branch, but is not on that path itself. 
+// Returns null if there is none, which is always the case outside of tree mode.
+ETO_UndoRedoSystem.prototype.findInactiveBranch = function()
+{
+    for (var node = this.m_root; node; node = node.m_activeChild)
+    {
+        for (var i = 0; i < node.m_children.length; i++)
+        {
+            if (node.m_children[i] !== node.m_activeChild) { return node.m_children[i]; }
+        }
+    }
+    return null;
+}
+Object.defineProperty(ETO_UndoRedoSystem.prototype, "findInactiveBranch",
+{ "value": ETO_UndoRedoSystem.prototype.findInactiveBranch });
+
+// isAncestor(ancestor, node)
+//
+// Returns true if ancestor is the node or one of its ancestors.
+ETO_UndoRedoSystem.prototype.isAncestor = function(ancestor, node)
+{
+    for (var n = node; n; n = n.m_parent)
+    {
+        if (n === ancestor) { return true; }
+    }
+    return false;
+}
+Object.defineProperty(ETO_UndoRedoSystem.prototype, "isAncestor",
+{ "value": ETO_UndoRedoSystem.prototype.isAncestor });
+
+// isInTree(node)
+//
+// Returns true if the node is in this system's history tree.
+ETO_UndoRedoSystem.prototype.isInTree = function(node)
+{
+    if (node === null || typeof node !== "object") { return false; }
+    return this.isAncestor(this.m_root, node);
+}
+Object.defineProperty(ETO_UndoRedoSystem.prototype, "isInTree",
+{ "value": ETO_UndoRedoSystem.prototype.isInTree });
+
+// makeEntry(text, cmd, node)
+//
+// Returns a [text,cmd,cost,time,node] tuple for one of the stacks, where time is when it was added 
+// or last merged into, and makes it the node's entry.
+ETO_UndoRedoSystem.prototype.makeEntry = function(text, cmd, node)
+{
+    var entry = [text, cmd, this.estimateCost(cmd, text), Date.now(), node];
+    node.m_entry = entry;
+    return entry;
+}
+Object.defineProperty(ETO_UndoRedoSystem.prototype, "makeEntry",
+{ "value": ETO_UndoRedoSystem.prototype.makeEntry });
+
+// notifyCountChanges(previousUndoCount, previousRedoCount)
+//
+// Notifies observers of undoCount and redoCount if they differ from the previous counts.
+ETO_UndoRedoSystem.prototype.notifyCountChanges = function(previousUndoCount, previousRedoCount)
+{
+    if (this.undoCount != previousUndoCount)
+    {
+    	this.notifyAll({
+    		"name": "undoCount",
+    		"oldValue": previousUndoCount,
+    		"object": this
+    	});
+    }
+    if (this.redoCount != previousRedoCount)
+    {
+    	this.notifyAll({
+    		"name": "redoCount",
+    		"oldValue": previousRedoCount,
+    		"object": this
+    	});
+    }
+}
+Object.defineProperty(ETO_UndoRedoSystem.prototype, "notifyCountChanges",
+{ "value": ETO_UndoRedoSystem.prototype.notifyCountChanges });
+
+// notifyEvicted(evicted)
+//
+// Sends the "evicted" notification (see setLimits), with its own copy of the evicted entries.
+ETO_UndoRedoSystem.prototype.notifyEvicted = function(evicted)
+{
+    this.notifyAll({ "name": "evicted", "oldValue": undefined, "evicted": evicted.concat([]) });
+}
+Object.defineProperty(ETO_UndoRedoSystem.prototype, "notifyEvicted",
+{ "value": ETO_UndoRedoSystem.prototype.notifyEvicted });
+
+// syncRedos()
+//
+// Sets the redo stack to the entries of the active branch below the current node, deepest first.
+ETO_UndoRedoSystem.prototype.syncRedos = function()
+{
+    this.m_redos.splice(0);
+    for (var node = this.currentNode.m_activeChild; node; node = node.m_activeChild)
+        this.m_redos.unshift(node.m_entry);
+}
+Object.defineProperty(ETO_UndoRedoSystem.prototype, "syncRedos",
+{ "value": ETO_UndoRedoSystem.prototype.syncRedos });
+
+// updateIsDirty()
+//
+// Forgets the saved node if it is no longer in the tree, then sets isDirty.
+ETO_UndoRedoSystem.prototype.updateIsDirty = function()
+{
+    if (this.m_savedNode && !this.isInTree(this.m_savedNode)) { this.m_savedNode = null; }
+    this.m_setIsDirty(this.currentNode !== this.m_savedNode);
+}
+Object.defineProperty(ETO_UndoRedoSystem.prototype, "updateIsDirty",
+{ "value": ETO_UndoRedoSystem.prototype.updateIsDirty });
+
+// updateTexts()
+//
+// Sets undoText and redoText from the tops of the stacks.
+ETO_UndoRedoSystem.prototype.updateTexts = function()
+{
+    this.undoText = (this.m_undos.length === 0) ? "Undo" : this.m_undos[this.m_undos.length - 1][0];
+    this.redoText = (this.m_redos.length === 0) ? "Redo" : this.m_redos[this.m_redos.length - 1][0];
+}
+Object.defineProperty(ETO_UndoRedoSystem.prototype, "updateTexts",
+{ "value": ETO_UndoRedoSystem.prototype.updateTexts });
+
+// ETO_UndoRedoSystem.getSubtree(node)
+//
+// Private static function that returns an array of the node and all of its descendants, in 
+// depth-first order.
+ETO_UndoRedoSystem.getSubtree = function(node)
+{
+    var nodes = [];
+    var stack = [node];
+    while (stack.length > 0)
+    {
+        var n = stack.pop();
+        nodes.push(n);
+        for (var i = n.m_children.length - 1; i >= 0; i--)
+            stack.push(n.m_children[i]);
+    }
+    return nodes;
+}
+Object.defineProperty(ETO_UndoRedoSystem, "getSubtree", { "value": ETO_UndoRedoSystem.getSubtree });
+
+// ETO_UndoRedoSystem.makeNode(parent)
+//
+// Private static function that returns a new node of a history tree (see currentNode). The 
+// node's entry is the [text,cmd,cost,time,node] tuple of the undo that returns to its parent, or 
+// of the redo that comes back to it, whichever is on the stacks or would be if its branch were 
+// active. It is null for the root.
+ETO_UndoRedoSystem.makeNode = function(parent)
+{
+    var node = Object.create(ETO_UndoRedoSystem.nodePrototype);
+    Object.defineProperty(node, "m_parent", { "value": parent, "writable": true });
+    Object.defineProperty(node, "m_children", { "value": [] });
+    Object.defineProperty(node, "m_activeChild", { "value": null, "writable": true });
+    Object.defineProperty(node, "m_entry", { "value": null, "writable": true });
+    return node;
+}
+Object.defineProperty(ETO_UndoRedoSystem, "makeNode", { "value": ETO_UndoRedoSystem.makeNode });
+
+// Private static prototype of the nodes of history trees, with the read-only members described 
+// for currentNode
+Object.defineProperty(ETO_UndoRedoSystem, "nodePrototype", { "value": Object.create(Object.prototype, {
+    "children": { "get": function() { return this.m_children.concat([]); } },
+    "parent": { "get": function() { return this.m_parent; } },
+    "text": { "get": function() { return this.m_entry ? this.m_entry[0] : null; } }
+}) });
+
+// ----------------------------------------------------------
+
+// ETO_UndoRecorder(undoRedoSystem)
+//
+// Constructor function for an object that records changes made to a tree of ETO_Observable and 
+// ETO_ObservableList objects and turns them into undos on an ETO_UndoRedoSystem. Roots of the tree 
+// are added with attach(). Every ETO_Observable or ETO_ObservableList value reachable from a root, 
+// through enumerable properties and list items, is observed as well, including values added later.
+//
+// Changes are only recorded between begin() and end(), or during record(). When the outermost 
+// recording ends, an undo that reverts all recorded changes, in reverse order, is added to the 
+// undo/redo system. Changes made while the undo/redo system is executing commands (undos, redos 
+// and execWithUndo) are not recorded.
+//
+// Recorded changes are:
+// - Property value changes, which are reverted with ETO_SetPropertyCmd.
+// - List adds, removes and replacements, which are reverted with ETO_ArrayRemoveCmd, 
+//   ETO_ArrayInsertCmd and ETO_ApplyEditsCmd, respectively.
+// - List range changes, which are reverted with ETO_ReplaceRangeCmd.
+// - List moves and reorders, which are reverted with ETO_ReorderCmd.
+// Removals of properties are not recorded, and a property added while recording is set back to 
+// undefined by the undo rather than removed.
+function ETO_UndoRecorder(undoRedoSystem)
+{
+    Object.defineProperty(this, "m_undoRedo", { "value": undoRedoSystem });
+
+    // Observed objects, as [object, observerHandle, referenceCount] tuples
+    Object.defineProperty(this, "m_observed", { "value": [] });
+
+    // Recording state
+    Object.defineProperty(this, "m_depth", { "value": 0, "writable": true });
+    Object.defineProperty(this, "m_text", { "value": null, "writable": true });
+    Object.defineProperty(this, "m_inverseCmds", { "value": [] });
+}
+
+// attach(root)
+//
+// Starts observing an ETO_Observable or ETO_ObservableList and everything reachable from it. 
+// Returns false if root is neither, true otherwise. Attaching the same root more than once 
+// requires detaching it the same number of times.
+ETO_UndoRecorder.prototype.attach = function(root)
+{
+    if (!(root instanceof ETO_Observable) && !(root instanceof ETO_ObservableList)) { return false; }
+    this.observe(root);
+    return true;
+}
+
+// begin(text)
+//
+// Starts recording changes for an undo with the specified text. Calls can be nested, in which 
+// case the text of the outermost call is used and the undo is added by the outermost end().
+ETO_UndoRecorder.prototype.begin = function(text)
+{
+    if (this.m_depth === 0)
+    {
+        this.m_text = text;
+        this.m_inverseCmds.splice(0);
+    }
+    this.m_depth++;
+}
+
+// detach(root)
+//
+// Stops observing a root added with attach(), along with everything reachable from it that is 
+// not also reachable from another root. Returns true if root was attached.
+ETO_UndoRecorder.prototype.detach = function(root)
+{
+    if (this.findObserved(root) == -1) { return false; }
+    this.unobserve(root);
+    return true;
+}
+
+// end()
+//
+// Ends recording started by begin(). When the outermost recording ends and changes were recorded, 
+// an undo is added to the undo/redo system. Returns true if an undo was added.
+ETO_UndoRecorder.prototype.end = function()
+{
+    if (this.m_depth === 0) { return false; }
+
+    this.m_depth--;
+    if (this.m_depth > 0 || this.m_inverseCmds.length === 0) { return false; }
+
+    // Commands were stored in the order of the changes, so they are reversed for the undo
+    var cmds = this.m_inverseCmds.splice(0).reverse();
+    return this.m_undoRedo.addUndo(this.m_text, cmds);
+}
+
+// isRecording
+//
+// Read-only property that is true between begin() and the matching end().
+Object.defineProperty(ETO_UndoRecorder.prototype, "isRecording",
+{ "get": function() { return this.m_depth > 0; } } );
+
+// record(text, func[, thisArg])
+//
+// Calls func between begin(text) and end() and returns its return value. Recording ends even if 
+// the function throws.
+ETO_UndoRecorder.prototype.record = function(text, func, thisArg)
+{
+    this.begin(text);
+    try
+    {
+        return func.call(thisArg);
+    }
+    finally
+    {
+        this.end();
+    }
+}
+
+// Private helper functions follow
+
+// findObserved(object)
+//
+// Returns the index of the object in m_observed, or -1 if not found.
+ETO_UndoRecorder.prototype.findObserved = function(object)
+{
+    for (var i = 0; i < this.m_observed.length; i++)
+    {
+        if (this.m_observed[i][0] === object) { return i; }
+    }
+    return -1;
+}
+Object.defineProperty(ETO_UndoRecorder.prototype, "findObserved",
+{ "value": ETO_UndoRecorder.prototype.findObserved });
+
+// getChildren(object)
+//
+// Returns an array of the ETO_Observable and ETO_ObservableList values directly reachable from 
+// the object.
+ETO_UndoRecorder.prototype.getChildren = function(object)
+{
+    var values = (object instanceof ETO_ObservableList) ? object.toArray() : [];
+    if (object instanceof ETO_Observable)
+    {
+        for (var name in object)
+        {
+            if (object.hasOwnProperty(name)) { values.push(object[name]); }
+        }
+    }
+    return values.filter(function(value)
+    {
+        return (value instanceof ETO_Observable) || (value instanceof ETO_ObservableList);
+    });
+}
+Object.defineProperty(ETO_UndoRecorder.prototype, "getChildren",
+{ "value": ETO_UndoRecorder.prototype.getChildren });
+
+// observe(object)
+//
+// Adds a reference to an observed object, attaching an observer and observing its children if 
+// it was not observed already.
+ETO_UndoRecorder.prototype.observe = function(object)
+{
+    var index = this.findObserved(object);
+    if (index != -1)
+    {
+        this.m_observed[index][2]++;
+        return;
+    }
+
+    var us = this;
+    var handle = object.addChangeObserver(function(info) { us.onChange(info); });
+    this.m_observed.push([object, handle, 1]);
+
+    var children = this.getChildren(object);
+    for (var i = 0; i < children.length; i++)
+        this.observe(children[i]);
+}
+Object.defineProperty(ETO_UndoRecorder.prototype, "observe",
+{ "value": ETO_UndoRecorder.prototype.observe });
+
+// observeAll(values)
+//
+// Calls observe for each ETO_Observable or ETO_ObservableList in the array.
+ETO_UndoRecorder.prototype.observeAll = function(values)
+{
+    for (var i = 0; i < values.length; i++)
+    {
+        if ((values[i] instanceof ETO_Observable) || (values[i] instanceof ETO_ObservableList))
+            this.observe(values[i]);
+    }
+}
+Object.defineProperty(ETO_UndoRecorder.prototype, "observeAll",
+{ "value": ETO_UndoRecorder.prototype.observeAll });
+
+// onChange(info)
+//
+// Observer callback for all observed objects. Keeps the set of observed objects in sync with the 
+// tree and, while recording, stores the inverse command for each change.
+ETO_UndoRecorder.prototype.onChange = function(info)
+{
+    var recording = (this.m_depth > 0 && !this.m_undoRedo.isExecuting);
+    var changes = info.changes ? info.changes : [info];
+    for (var i = 0; i < changes.length; i++)
+    {
+        var change = changes[i];
+        var object = change.object;
+        var newValue = undefined;
+        var inverse = null;
+
+        if (change.listChangeType !== undefined)
+        {
+            var index = change.index;
+            if (change.listChangeType == "add")
+            {
+                newValue = object.at(index);
+                inverse = new ETO_ArrayRemoveCmd(object, index);
+            }
+            else if (change.listChangeType == "remove")
+            {
+                // The items of a multi-item remove are re-inserted one by one at its start index,
+                // in reverse order, when the inverse commands are executed
+                var insertIndex = (change.startIndex !== undefined) ? change.startIndex : index;
+                inverse = new ETO_ArrayInsertCmd(object, change.oldValue, insertIndex);
+            }
+            else if (change.listChangeType == "replace")
+            {
+                newValue = object.at(index);
+                inverse = new ETO_ApplyEditsCmd(object, [{ "type": "replace", "index": index,
+                    "item": change.oldValue, "oldItem": newValue }]);
+            }
+            else if (change.permutation)
+            {
+                // Moves and reorders are reverted by the inverse permutation
+                var inversePermutation = new Array(change.permutation.length);
+                for (var j = 0; j < change.permutation.length; j++)
+                    inversePermutation[change.permutation[j]] = j;
+                inverse = new ETO_ReorderCmd(object, inversePermutation);
+            }
+            else if (change.newItems && change.oldItems)
+            {
+                // Range changes
+                inverse = new ETO_ReplaceRangeCmd(object, index, change.newItems.length,
+                    change.oldItems);
+                this.observeAll(change.newItems);
+                this.unobserveAll(change.oldItems);
+            }
+        }
+        else if (change.name !== undefined && object.hasOwnProperty(change.name))
+        {
+            newValue = object[change.name];
+            inverse = new ETO_SetPropertyCmd(object, change.name, change.oldValue);
+        }
+
+        // Observe the new value and stop observing the old one
+        if ((newValue instanceof ETO_Observable) || (newValue instanceof ETO_ObservableList))
+            this.observe(newValue);
+        if (this.findObserved(change.oldValue) != -1)
+            this.unobserve(change.oldValue);
+
+        if (recording && inverse) { this.m_inverseCmds.push(inverse); }
+    }
+}
+Object.defineProperty(ETO_UndoRecorder.prototype, "onChange",
+{ "value": ETO_UndoRecorder.prototype.onChange });
+
+// unobserve(object)
+//
+// Removes a reference to an observed object. When no references remain, its observer is removed 
+// and its children are unobserved.
+ETO_UndoRecorder.prototype.unobserve = function(object)
+{
+    var index = this.findObserved(object);
+    if (index == -1) { return; }
+
+    var entry = this.m_observed[index];
+    entry[2]--;
+    if (entry[2] > 0) { return; }
+
+    this.m_observed.splice(index, 1);
+    object.removeChangeObserver(entry[1]);
+
+    var children = this.getChildren(object);
+    for (var i = 0; i < children.length; i++)
+        this.unobserve(children[i]);
+}
+Object.defineProperty(ETO_UndoRecorder.prototype, "unobserve",
+{ "value": ETO_UndoRecorder.prototype.unobserve });
+
+// unobserveAll(values)
+//
+// Calls unobserve for each observed value in the array.
+ETO_UndoRecorder.prototype.unobserveAll = function(values)
+{
+    for (var i = 0; i < values.length; i++)
+        this.unobserve(values[i]);
+}
+Object.defineProperty(ETO_UndoRecorder.prototype, "unobserveAll",
+{ "value": ETO_UndoRecorder.prototype.unobserveAll });
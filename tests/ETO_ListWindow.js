@@ -0,0 +1,111 @@
+// Tests ETO_ListWindow: the window contents as the source list changes before, inside and after
+// the window, the single notification for each change, moving the window and disposing of it.
+require("./loadETO.js");
+var assert = require("assert");
+
+// Makes a source list of the numbers from 0 to length - 1 and a window over it that records its
+// notifications
+function makeWindow(length, offset, count)
+{
+    var items = [];
+    for (var i = 0; i < length; i++) { items.push(i); }
+    var source = new ETO_ObservableList({ "objectToCopy": items });
+    var window = new ETO_ListWindow(source, offset, count);
+    var notifications = [];
+    window.addChangeObserver(function(info) { notifications.push(info); });
+    return { "source": source, "window": window, "notifications": notifications };
+}
+
+// Contents and source changes
+(function()
+{
+    var t = makeWindow(10, 2, 3);
+    assert.deepEqual(t.window.toArray(), [2, 3, 4]);
+    assert.equal(t.window.offset, 2);
+    assert.equal(t.window.count, 3);
+
+    // Changes after the window are ignored
+    t.source.add(10);
+    t.source.setAt(5, "x");
+    assert.equal(t.notifications.length, 0);
+
+    // A change inside the window is a single notification for what changed
+    t.source.setAt(3, "y");
+    assert.equal(t.notifications.length, 1);
+    assert.deepEqual(t.window.toArray(), [2, "y", 4]);
+
+    // Items shift in and out when items are added or removed before the window
+    t.notifications.splice(0);
+    t.source.removeRange(0, 2);
+    assert.deepEqual(t.window.toArray(), [4, "x", 6]);
+    assert.equal(t.notifications.length, 1);
+    t.source.insertRange(0, ["a"]);
+    assert.deepEqual(t.window.toArray(), ["y", 4, "x"]);
+    assert.equal(t.source.move(0, 9), true);
+    assert.deepEqual(t.window.toArray(), [4, "x", 6]);
+})();
+
+// A window near the end of the source has fewer items
+(function()
+{
+    var t = makeWindow(5, 3, 4);
+    assert.deepEqual(t.window.toArray(), [3, 4]);
+    t.source.add(5);
+    assert.deepEqual(t.window.toArray(), [3, 4, 5]);
+    t.source.clear();
+    assert.equal(t.window.length, 0);
+    assert.equal(t.notifications.length, 2);
+})();
+
+// Batched source changes
+(function()
+{
+    var t = makeWindow(10, 0, 3);
+    t.source.batch(function()
+    {
+        t.source.remove(0);
+        t.source.add("end");
+    });
+    assert.deepEqual(t.window.toArray(), [1, 2, 3]);
+    assert.equal(t.notifications.length, 1);
+})();
+
+// setWindow, rejected changes and dispose
+(function()
+{
+    var t = makeWindow(10, 0, 2);
+    assert.equal(t.window.setWindow(4, 3), true);
+    assert.deepEqual(t.window.toArray(), [4, 5, 6]);
+    assert.equal(t.notifications.length, 1);
+    assert.equal(t.window.setWindow(4, 3), true);
+    assert.equal(t.notifications.length, 1);
+    assert.equal(t.window.setWindow(-1, 2), false);
+    assert.equal(t.window.setWindow(1, 1.5), false);
+    assert.equal(t.window.offset, 4);
+
+    assert.equal(t.window.add(1), false);
+    assert.equal(t.window.setAt(0, 1), false);
+    assert.equal(t.window.removeRange(0, 1), 0);
+    assert.deepEqual(t.window.toArray(), [4, 5, 6]);
+
+    assert.equal(t.window.dispose(), true);
+    assert.equal(t.window.isDisposed, true);
+    assert.equal(t.source.observerCount, 0);
+    t.source.setAt(4, "z");
+    assert.deepEqual(t.window.toArray(), [4, 5, 6]);
+    assert.equal(t.window.dispose(), false);
+})();
+
+// Item changes inside the window are forwarded
+(function()
+{
+    var item = new ETO_Observable({ "value": 1 });
+    var source = new ETO_ObservableList({ "objectToCopy": [0, item, 2] });
+    var window = new ETO_ListWindow(source, 1, 1);
+    var names = [];
+    window.addChangeObserver(function(info) { names.push(info.name); }, null, true);
+    item.value = 2;
+    assert.deepEqual(names, ["value"]);
+})();
+
+console.log("ETO_ListWindow: all tests passed");
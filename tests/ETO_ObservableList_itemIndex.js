@@ -0,0 +1,91 @@
+// Regression tests for the "index" of item changes forwarded by ETO_ObservableList. After each 
+// kind of list mutation, changing a property of an item must report the item's current position.
+require("./loadETO.js");
+var assert = require("assert");
+
+// Makes a list of ETO_Observable items with a "value" property set to 0 through count-1
+function makeList(count)
+{
+    var list = new ETO_ObservableList();
+    for (var i = 0; i < count; i++)
+    {
+        var item = new ETO_Observable();
+        item.addProperty("value", i, false, true, true);
+        list.add(item);
+    }
+    return list;
+}
+
+// Changes a property of each item and checks that the forwarded index is its current position
+function checkIndices(list, testName)
+{
+    var reported = [];
+    var handle = list.addChangeObserver(function(details)
+    {
+        if (details.listItem) { reported.push([details.listItem, details.index]); }
+    }, null, true);
+
+    var items = list.toArray();
+    for (var i = 0; i < items.length; i++)
+        items[i].value = items[i].value + 100;
+    list.removeChangeObserver(handle);
+
+    assert.equal(reported.length, items.length, testName + ": one notification per item");
+    for (var i = 0; i < reported.length; i++)
+    {
+        assert.strictEqual(reported[i][1], list.indexOf(reported[i][0]),
+            testName + ": index of item " + i);
+    }
+}
+
+var tests = {
+    "add at front": function(list)
+    {
+        var item = new ETO_Observable();
+        item.addProperty("value", -1, false, true, true);
+        list.add(item, 0);
+    },
+    "remove": function(list) { list.remove(1, 2); },
+    "splice": function(list)
+    {
+        var item1 = new ETO_Observable();
+        item1.addProperty("value", -1, false, true, true);
+        var item2 = new ETO_Observable();
+        item2.addProperty("value", -2, false, true, true);
+        list.splice(1, 1, item1, item2);
+    },
+    "setAt": function(list)
+    {
+        var item = new ETO_Observable();
+        item.addProperty("value", -1, false, true, true);
+        list.setAt(2, item);
+    },
+    "move": function(list) { list.move(0, 4); },
+    "reverse": function(list) { list.reverse(); },
+    "sort": function(list) { list.sort(function(a, b) { return (a.value % 2) - (b.value % 2); }); },
+    "index setter": function(list)
+    {
+        var item = new ETO_Observable();
+        item.addProperty("value", -1, false, true, true);
+        list[3] = item;
+    }
+};
+
+for (var name in tests)
+{
+    var list = makeList(6);
+    checkIndices(list, name + " (before)");
+    tests[name](list);
+    checkIndices(list, name);
+}
+
+// Removed items no longer forward their changes
+var list = makeList(3);
+var removed = list.at(0);
+list.remove(0, 1);
+var count = 0;
+list.addChangeObserver(function() { count++; }, null, true);
+removed.value = 42;
+assert.equal(count, 0, "removed item changes are not forwarded");
+
+console.log("ETO_ObservableList_itemIndex: all tests passed");
@@ -0,0 +1,126 @@
+// Tests the range functions of ETO_ObservableList: addRange, insertRange, removeRange,
+// replaceRange and splice each make their change with a single notification that lists the removed
+// and inserted items, and attach or detach the observers of the items.
+require("./loadETO.js");
+var assert = require("assert");
+
+// Makes a list of the items that records its notifications
+function makeList(items)
+{
+    var list = new ETO_ObservableList({ "objectToCopy": items });
+    var notifications = [];
+    list.addChangeObserver(function(info) { notifications.push(info); });
+    return { "list": list, "notifications": notifications };
+}
+
+// Checks that there was exactly one notification and that it has the expected members
+function checkOne(t, type, index, oldItems, newItems)
+{
+    assert.equal(t.notifications.length, 1, type);
+    var info = t.notifications.pop();
+    assert.equal(info.listChangeType, type);
+    assert.equal(info.index, index, type + ": index");
+    assert.deepEqual(info.oldItems, oldItems, type + ": oldItems");
+    assert.deepEqual(info.newItems, newItems, type + ": newItems");
+}
+
+// addRange and insertRange
+(function()
+{
+    var t = makeList([1, 2]);
+    assert.equal(t.list.addRange([3, 4]), true);
+    checkOne(t, "addRange", 2, [], [3, 4]);
+    assert.equal(t.list.insertRange(1, [8, 9]), true);
+    checkOne(t, "addRange", 1, [], [8, 9]);
+    assert.deepEqual(t.list.toArray(), [1, 8, 9, 2, 3, 4]);
+
+    // Array-like objects and other lists can be inserted
+    assert.equal(t.list.insertRange(0, new ETO_ObservableList({ "objectToCopy": [0] })), true);
+    checkOne(t, "addRange", 0, [], [0]);
+    assert.equal(t.list[6], 4);
+
+    // Invalid indices are rejected without a notification
+    assert.equal(t.list.insertRange(8, [5]), false);
+    assert.equal(t.list.insertRange(-1, [5]), false);
+    assert.equal(t.notifications.length, 0);
+})();
+
+// removeRange
+(function()
+{
+    var t = makeList([1, 2, 3, 4, 5]);
+    assert.equal(t.list.removeRange(1, 2), 2);
+    checkOne(t, "removeRange", 1, [2, 3], []);
+
+    // The count is limited to the end of the list
+    assert.equal(t.list.removeRange(1, 10), 2);
+    checkOne(t, "removeRange", 1, [4, 5], []);
+    assert.deepEqual(t.list.toArray(), [1]);
+    assert.equal(t.list[1], undefined);
+
+    assert.equal(t.list.removeRange(1, 1), 0);
+    assert.equal(t.list.removeRange(0, 0), 0);
+    assert.equal(t.notifications.length, 0);
+})();
+
+// replaceRange and splice
+(function()
+{
+    var t = makeList([1, 2, 3, 4]);
+    assert.equal(t.list.replaceRange(1, 2, [7, 8, 9]), true);
+    checkOne(t, "replaceRange", 1, [2, 3], [7, 8, 9]);
+    assert.deepEqual(t.list.toArray(), [1, 7, 8, 9, 4]);
+    assert.equal(t.list.replaceRange(5, 0, [5]), true);
+    checkOne(t, "replaceRange", 5, [], [5]);
+    assert.equal(t.list.replaceRange(7, 0, [5]), false);
+
+    assert.deepEqual(t.list.splice(1, 3), [7, 8, 9]);
+    checkOne(t, "removeRange", 1, [7, 8, 9], []);
+    assert.deepEqual(t.list.splice(-1, 0, 3), []);
+    checkOne(t, "addRange", 2, [], [3]);
+    assert.deepEqual(t.list.splice(0, 2, "a"), [1, 4]);
+    checkOne(t, "replaceRange", 0, [1, 4], ["a"]);
+    assert.deepEqual(t.list.toArray(), ["a", 3, 5]);
+})();
+
+// Observers of the items are attached and detached with the range
+(function()
+{
+    var a = new ETO_Observable({ "value": 1 });
+    var b = new ETO_Observable({ "value": 2 });
+    var list = new ETO_ObservableList();
+    list.addRange([a, b]);
+    assert.equal(a.observerCount, 1);
+
+    var itemChanges = [];
+    list.addChangeObserver(function(info)
+    {
+        if (info.listItem) { itemChanges.push(info.index); }
+    }, null, true);
+    b.value = 3;
+    list.insertRange(0, ["x"]);
+    b.value = 4;
+    assert.deepEqual(itemChanges, [1, 2]);
+
+    list.replaceRange(1, 1, ["y"]);
+    assert.equal(a.observerCount, 0);
+    list.removeRange(0, 3);
+    assert.equal(b.observerCount, 0);
+})();
+
+// Range changes in a batch are delivered as changes of one notification
+(function()
+{
+    var t = makeList([1, 2, 3]);
+    t.list.batch(function()
+    {
+        t.list.removeRange(0, 2);
+        t.list.addRange([4, 5]);
+    });
+    assert.equal(t.notifications.length, 1);
+    assert.deepEqual(t.notifications[0].changes.map(function(c) { return c.listChangeType; }),
+        ["removeRange", "addRange"]);
+    assert.deepEqual(t.list.toArray(), [3, 4, 5]);
+})();
+
+console.log("ETO_ObservableList_ranges: all tests passed");
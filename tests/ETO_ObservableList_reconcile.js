@@ -0,0 +1,124 @@
+// Tests ETO_ObservableList.reconcile and applyEdits: that the edit scripts turn the list into the
+// new array, with as few moves as possible and one notification per edit, that items matched by
+// key are replaced, and that a script that can't be applied leaves the list unchanged.
+require("./loadETO.js");
+var assert = require("assert");
+
+// Reconciles a new list of the items with the new items and checks the result. Returns the edits.
+function checkReconcile(items, newItems, keyFn)
+{
+    var list = new ETO_ObservableList({ "objectToCopy": items });
+    var notificationCount = 0;
+    list.addChangeObserver(function() { notificationCount++; });
+
+    var edits = list.reconcile(newItems, keyFn);
+    var label = JSON.stringify(items) + " to " + JSON.stringify(newItems);
+    assert.ok(edits instanceof Array, label);
+    assert.deepEqual(list.toArray(), newItems, label);
+    assert.equal(notificationCount, edits.length, label + ": notifications");
+    return edits;
+}
+
+// Counts the edits of each type
+function countTypes(edits)
+{
+    var counts = { "remove": 0, "insert": 0, "move": 0, "replace": 0 };
+    edits.forEach(function(edit) { counts[edit.type]++; });
+    return counts;
+}
+
+// Basic scripts
+(function()
+{
+    assert.deepEqual(checkReconcile([1, 2, 3], [1, 2, 3]), []);
+    assert.deepEqual(countTypes(checkReconcile([1, 2, 3], [1, 3])),
+        { "remove": 1, "insert": 0, "move": 0, "replace": 0 });
+    assert.deepEqual(countTypes(checkReconcile([1, 2, 3], [0, 1, 2, 3, 4])),
+        { "remove": 0, "insert": 2, "move": 0, "replace": 0 });
+    assert.deepEqual(countTypes(checkReconcile([1, 2, 3, 4], [2, 3, 4, 1])),
+        { "remove": 0, "insert": 0, "move": 1, "replace": 0 });
+    assert.deepEqual(countTypes(checkReconcile([1, 2, 3, 4], [4, 3, 2, 1])).move, 3);
+    checkReconcile([], [1, 2]);
+    checkReconcile([1, 2], []);
+    checkReconcile([1, 1, 2, 1], [2, 1, 1]);
+})();
+
+// Many combinations of small arrays, from a fixed pseudo-random sequence
+(function()
+{
+    var seed = 1;
+    var random = function(n)
+    {
+        seed = (seed * 16807) % 2147483647;
+        return seed % n;
+    };
+    var makeArray = function()
+    {
+        var length = random(7);
+        var result = [];
+        for (var i = 0; i < length; i++) { result.push(random(5)); }
+        return result;
+    };
+    for (var i = 0; i < 300; i++) { checkReconcile(makeArray(), makeArray()); }
+})();
+
+// Items matched by key are replaced, and observers of the unchanged items stay attached
+(function()
+{
+    var byId = function(item) { return item.id; };
+    var a = new ETO_Observable({ "id": 1 });
+    var b = new ETO_Observable({ "id": 2 });
+    var newB = new ETO_Observable({ "id": 2 });
+    var edits = checkReconcile([a, b], [newB, a], byId);
+    assert.deepEqual(countTypes(edits), { "remove": 0, "insert": 0, "move": 1, "replace": 1 });
+    var replace = edits.filter(function(edit) { return edit.type == "replace"; })[0];
+    assert.strictEqual(replace.oldItem, b);
+    assert.strictEqual(replace.item, newB);
+
+    var c = new ETO_Observable({ "id": 3 });
+    var d = new ETO_Observable({ "id": 4 });
+    var newD = new ETO_Observable({ "id": 4 });
+    var list = new ETO_ObservableList({ "objectToCopy": [c, d] });
+    list.reconcile([c, newD], byId);
+    assert.equal(c.observerCount, 1);
+    assert.equal(d.observerCount, 0);
+    assert.equal(newD.observerCount, 1);
+})();
+
+// computeOnly returns the script without changing the list, and applyEdits applies it
+(function()
+{
+    var list = new ETO_ObservableList({ "objectToCopy": ["a", "b", "c"] });
+    var edits = list.reconcile(["c", "d", "a"], null, true);
+    assert.deepEqual(list.toArray(), ["a", "b", "c"]);
+    assert.equal(list.applyEdits(edits), true);
+    assert.deepEqual(list.toArray(), ["c", "d", "a"]);
+})();
+
+// Scripts that can't be applied make no change
+(function()
+{
+    var list = new ETO_ObservableList({ "objectToCopy": [1, 2] });
+    var notificationCount = 0;
+    list.addChangeObserver(function() { notificationCount++; });
+    assert.equal(list.applyEdits([
+        { "type": "insert", "index": 0, "item": 0 },
+        { "type": "remove", "index": 3 }
+    ]), false);
+    assert.equal(list.applyEdits([{ "type": "move", "fromIndex": 0, "toIndex": 2 }]), false);
+    assert.equal(list.applyEdits([{ "type": "unknown", "index": 0 }]), false);
+    assert.deepEqual(list.toArray(), [1, 2]);
+    assert.equal(notificationCount, 0);
+
+    // An item rejected by validation makes reconcile return null
+    var validated = new ETO_ObservableList({
+        "objectToCopy": [1, 2],
+        "addValidator": function(item) { return item < 5; }
+    });
+    assert.strictEqual(validated.reconcile([2, 9]), null);
+    assert.deepEqual(validated.toArray(), [1, 2]);
+    assert.ok(validated.reconcile([2, 3]) instanceof Array);
+    assert.deepEqual(validated.toArray(), [2, 3]);
+})();
+
+console.log("ETO_ObservableList_reconcile: all tests passed");
@@ -0,0 +1,128 @@
+// Tests the item validators of ETO_ObservableList and ETO_ObservableSet: which validators each list
+// function calls, that multi-item changes are all or nothing, and how rejections are reported.
+require("./loadETO.js");
+var assert = require("assert");
+
+// Makes a list of the items with validators that count their calls and reject the changes in the
+// 'rejected' array, each a string such as "add 9" or "remove 2"
+function makeList(items, rejected)
+{
+    var calls = { "add": 0, "replace": 0, "remove": 0 };
+    var check = function(type, item)
+    {
+        calls[type]++;
+        if (rejected.indexOf(type + " " + item) == -1) { return true; }
+        return new ETO_Result(false, type + " " + item);
+    };
+    var list = new ETO_ObservableList({
+        "objectToCopy": items,
+        "addValidator": function(item) { return check("add", item); },
+        "replaceValidator": function(newItem) { return check("replace", newItem); },
+        "removeValidator": function(item) { return check("remove", item); }
+    });
+    calls.add = 0;
+    return { "list": list, "calls": calls };
+}
+
+// Single-item functions
+(function()
+{
+    var t = makeList([1, 2, 3], ["add 9"]);
+    assert.equal(t.list.add(9), false);
+    assert.equal(t.list.lastValidationResult.message, "add 9");
+    assert.equal(t.list.add(4), true);
+    assert.equal(t.list.setAt(0, 9), false);
+    assert.equal(t.list.lastValidationResult.op, "ETO_ObservableList.replace");
+    assert.equal(t.list.setAt(0, 5), true);
+    assert.deepEqual(t.list.toArray(), [5, 2, 3, 4]);
+
+    var r = makeList([1, 2, 3], ["remove 2"]);
+    assert.equal(r.list.remove(0, 3), 0);
+    assert.equal(r.list.lastValidationResult.message, "remove 2");
+    assert.equal(r.list.remove(0), 1);
+    assert.deepEqual(r.list.toArray(), [2, 3]);
+})();
+
+// tryAdd returns the ETO_Result
+(function()
+{
+    var t = makeList([1], ["add 9"]);
+    var result = t.list.tryAdd(2, 0);
+    assert.ok(result.success);
+    assert.equal(result.value, 0);
+    result = t.list.tryAdd(9);
+    assert.equal(result.success, false);
+    assert.equal(result.message, "add 9");
+    assert.strictEqual(result, t.list.lastValidationResult);
+    result = t.list.tryAdd(3, 7);
+    assert.equal(result.success, false);
+    assert.notStrictEqual(result, t.list.lastValidationResult);
+    assert.deepEqual(t.list.toArray(), [2, 1]);
+})();
+
+// Range functions are all or nothing
+(function()
+{
+    var t = makeList([1, 2, 3], ["remove 2", "add 9"]);
+    assert.equal(t.list.removeRange(0, 2), 0);
+    assert.equal(t.list.addRange([4, 9]), false);
+    assert.equal(t.list.insertRange(0, [9]), false);
+    assert.deepEqual(t.list.splice(1, 1), []);
+    assert.deepEqual(t.list.toArray(), [1, 2, 3]);
+    assert.equal(t.list.removeRange(2, 1), 1);
+    assert.deepEqual(t.list.toArray(), [1, 2]);
+})();
+
+// Items put in place of other items are validated as replacements
+(function()
+{
+    var t = makeList([1, 2, 3], ["replace 8", "replace 9"]);
+    assert.deepEqual(t.list.splice(0, 1, 9), []);
+    assert.equal(t.list.replaceRange(1, 1, [8]), false);
+    assert.equal(t.calls.replace, 2);
+    assert.deepEqual(t.list.toArray(), [1, 2, 3]);
+
+    // The replaced item isn't checked by the removal validator, nor the extra new item by the
+    // replacement validator
+    t.calls.replace = t.calls.remove = t.calls.add = 0;
+    assert.equal(t.list.replaceRange(1, 1, [5, 6]), true);
+    assert.deepEqual(t.calls, { "add": 2, "replace": 1, "remove": 0 });
+    assert.deepEqual(t.list.toArray(), [1, 5, 6, 3]);
+})();
+
+// applyEdits validates each edit once and is all or nothing
+(function()
+{
+    var t = makeList([1, 2, 3], ["replace 9", "add 9"]);
+    assert.equal(t.list.applyEdits([{ "type": "insert", "index": 0, "item": 4 }]), true);
+    assert.deepEqual(t.calls, { "add": 1, "replace": 0, "remove": 0 });
+    assert.equal(t.list.applyEdits([
+        { "type": "remove", "index": 0 },
+        { "type": "replace", "index": 0, "item": 9 }
+    ]), false);
+    assert.deepEqual(t.list.toArray(), [4, 1, 2, 3]);
+
+    // Changes made by observers during the edits are still validated
+    var handle = t.list.addChangeObserver(function()
+    {
+        t.list.removeChangeObserver(handle);
+        t.list.add(9);
+    });
+    assert.equal(t.list.applyEdits([{ "type": "remove", "index": 0 }]), true);
+    assert.deepEqual(t.list.toArray(), [1, 2, 3]);
+})();
+
+// ETO_ObservableSet accepts validators that return an ETO_Result
+(function()
+{
+    var set = new ETO_ObservableSet({
+        "addValidator": function(item) { return new ETO_Result(item > 0, "positive only"); }
+    });
+    assert.equal(set.add(1), true);
+    assert.strictEqual(set.lastValidationResult, null);
+    assert.equal(set.add(-1), false);
+    assert.equal(set.lastValidationResult.message, "positive only");
+    assert.deepEqual(set.toArray(), [1]);
+})();
+
+console.log("ETO_ObservableList_validation: all tests passed");
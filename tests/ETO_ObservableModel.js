@@ -0,0 +1,78 @@
+// Tests ETO_DefineObservableModel: validation of assignments and initial values, the failures kept
+// in lastValidationResult, and that create validates the values and the defaults.
+require("./loadETO.js");
+var assert = require("assert");
+
+var Item = ETO_DefineObservableModel({
+    "properties": {
+        "name": { "type": "string", "default": "" },
+        "count": { "type": "integer", "default": 1, "min": 0, "max": 10 },
+        "tags": { "type": Array, "default": function() { return []; } }
+    }
+});
+
+// Assignments are validated, and only failures are kept in lastValidationResult
+(function()
+{
+    var item = new Item({ "name": "a" });
+    assert.strictEqual(item.lastValidationResult, null);
+    item.count = 5;
+    assert.equal(item.count, 5);
+    assert.strictEqual(item.lastValidationResult, null);
+
+    item.count = 11;
+    assert.equal(item.count, 5);
+    var failure = item.lastValidationResult;
+    assert.equal(failure.success, false);
+    assert.ok(/maximum/.test(failure.message));
+
+    // A valid assignment keeps the failure
+    item.count = 6;
+    assert.equal(item.count, 6);
+    assert.strictEqual(item.lastValidationResult, failure);
+})();
+
+// Invalid initial values are replaced with the defaults
+(function()
+{
+    var item = new Item({ "count": 1.5 });
+    assert.equal(item.count, 1);
+    assert.equal(item.lastValidationResult.success, false);
+    assert.notStrictEqual(new Item().tags, new Item().tags);
+})();
+
+// create validates the values and the defaults of the properties without values
+(function()
+{
+    var result = Item.create({ "count": -1, "name": 2 });
+    assert.equal(result.success, false);
+    assert.equal(result.errors.length, 2);
+
+    result = Item.create({ "count": 3 });
+    assert.ok(result.success);
+    assert.equal(result.value.count, 3);
+    assert.equal(result.value.name, "");
+
+    var calls = 0;
+    var BadDefault = ETO_DefineObservableModel({
+        "properties": {
+            "level": { "type": "number", "default": 20, "max": 10 },
+            "list": { "default": function() { calls++; return []; } },
+            "label": { "type": "string" }
+        }
+    });
+    result = BadDefault.create();
+    assert.equal(result.success, false);
+    assert.equal(result.errors.length, 1);
+    assert.ok(/level/.test(result.message) && /default/.test(result.message), result.message);
+
+    // A default is only used if it is valid or the value is provided, and default functions are
+    // called once per object
+    calls = 0;
+    result = BadDefault.create({ "level": 5 });
+    assert.ok(result.success, result.message);
+    assert.equal(calls, 1);
+    assert.strictEqual(result.value.label, undefined);
+})();
+
+console.log("ETO_ObservableModel: all tests passed");
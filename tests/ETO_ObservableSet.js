@@ -0,0 +1,77 @@
+// Tests ETO_ObservableSet: uniqueness by identity and by key, the set operations and their
+// notifications, and that item observers are only attached to the items in the set.
+require("./loadETO.js");
+var assert = require("assert");
+
+// Uniqueness
+(function()
+{
+    var set = new ETO_ObservableSet({ "objectToCopy": [1, 2, 2, "2", 1] });
+    assert.deepEqual(set.toArray(), [1, 2, "2"]);
+    assert.equal(set.add(2), false);
+    assert.equal(set.has("2"), true);
+
+    var byId = new ETO_ObservableSet({ "keyFunction": function(item) { return item.id; } });
+    assert.equal(byId.add({ "id": 1 }), true);
+    assert.equal(byId.add({ "id": 1 }), false);
+    assert.equal(byId.has({ "id": 1 }), true);
+    assert.equal(byId["delete"]({ "id": 1 }), true);
+    assert.equal(byId.size, 0);
+})();
+
+// Set operations, each with a single notification
+(function()
+{
+    var set = new ETO_ObservableSet({ "objectToCopy": [1, 2, 3, 4] });
+    var notifications = [];
+    set.addChangeObserver(function(info) { notifications.push(info); });
+
+    assert.equal(set.union([3, 5, 6]), 2);
+    assert.deepEqual(set.toArray(), [1, 2, 3, 4, 5, 6]);
+    assert.equal(set.intersect(new ETO_ObservableList({ "objectToCopy": [6, 2, 4, 9] })), 3);
+    assert.deepEqual(set.toArray(), [2, 4, 6]);
+    assert.equal(set.difference([4, 7]), 1);
+    assert.deepEqual(set.toArray(), [2, 6]);
+    assert.equal(set.clear(), 2);
+    assert.equal(set.size, 0);
+
+    assert.equal(notifications.length, 4);
+    assert.deepEqual(notifications[0].changes.map(function(c) { return c.listChangeType; }),
+        ["add", "add"]);
+    assert.deepEqual(notifications[1].changes.map(function(c) { return c.oldValue; }), [1, 3, 5]);
+})();
+
+// intersect compares keys, including keys that aren't strings or numbers
+(function()
+{
+    var a = {};
+    var b = {};
+    var set = new ETO_ObservableSet({
+        "keyFunction": function(item) { return item.key; },
+        "objectToCopy": [{ "key": 1 }, { "key": "1" }, { "key": a }, { "key": b }]
+    });
+    assert.equal(set.intersect([{ "key": "1" }, { "key": b }]), 2);
+    assert.deepEqual(set.toArray().map(function(item) { return item.key; }), ["1", b]);
+})();
+
+// Item observers
+(function()
+{
+    var item = new ETO_Observable({ "value": 1 });
+    var set = new ETO_ObservableSet({ "objectToCopy": [item] });
+    assert.equal(item.observerCount, 1);
+    set.intersect([item]);
+    set.intersect([item, new ETO_Observable()]);
+    set.union([item]);
+    assert.equal(item.observerCount, 1);
+
+    var changes = [];
+    set.addChangeObserver(function(info) { changes.push(info.name); }, null, true);
+    item.value = 2;
+    assert.deepEqual(changes, ["value"]);
+
+    set["delete"](item);
+    assert.equal(item.observerCount, 0);
+})();
+
+console.log("ETO_ObservableSet: all tests passed");
@@ -0,0 +1,100 @@
+// Tests asynchronous delivery mode: queuing and merging of notifications, flushing, and what
+// happens to errors thrown by observers during flushes.
+require("./loadETO.js");
+var assert = require("assert");
+
+// Makes an object in asynchronous delivery mode with a scheduler that stores the callbacks, so
+// that the test decides when they run
+function makeAsync()
+{
+    var o = new ETO_Observable({ "a": 0, "b": 0 });
+    var callbacks = [];
+    o.setDeliveryMode("async", function(callback) { callbacks.push(callback); });
+    return { "object": o, "callbacks": callbacks };
+}
+
+// Queuing and merging
+(function()
+{
+    var t = makeAsync();
+    var received = [];
+    t.object.addChangeObserver(function(info) { received.push([info.name, info.oldValue]); });
+    t.object.a = 1;
+    t.object.b = 1;
+    t.object.a = 2;
+    assert.equal(received.length, 0);
+    assert.equal(t.callbacks.length, 1);
+    t.callbacks.shift()();
+    assert.deepEqual(received, [["a", 0], ["b", 0]]);
+
+    // flush delivers right away, and switching to "sync" flushes first
+    t.object.a = 3;
+    assert.equal(t.object.flush(), 1);
+    t.object.b = 2;
+    t.object.setDeliveryMode("sync");
+    assert.equal(received.length, 4);
+    t.object.a = 4;
+    assert.equal(received.length, 5);
+})();
+
+// An error thrown by an observer during a scheduled flush doesn't stop the rest of the queue, and
+// is thrown from the scheduler callback when there is no error handler
+(function()
+{
+    var t = makeAsync();
+    var received = [];
+    t.object.addChangeObserver(function(info)
+    {
+        received.push(info.name);
+        if (info.name == "a") { throw new Error("observer error"); }
+    });
+    t.object.a = 1;
+    t.object.b = 1;
+    assert.throws(function() { t.callbacks.shift()(); }, /observer error/);
+    assert.deepEqual(received, ["a", "b"]);
+})();
+
+// With an error handler, errors are passed to it and the whole queue is delivered
+(function()
+{
+    var t = makeAsync();
+    var errors = [];
+    t.object.setObserverErrorHandler(function(error) { errors.push(error.message); });
+    var received = [];
+    t.object.addChangeObserver(function(info)
+    {
+        received.push(info.name);
+        throw new Error("error " + info.name);
+    });
+    t.object.a = 1;
+    t.object.b = 1;
+    t.callbacks.shift()();
+    assert.deepEqual(received, ["a", "b"]);
+    assert.deepEqual(errors, ["error a", "error b"]);
+})();
+
+// An error thrown by the error handler itself is passed to the handler once the queue has been
+// delivered, rather than being lost
+(function()
+{
+    var t = makeAsync();
+    var errors = [];
+    t.object.setObserverErrorHandler(function(error)
+    {
+        errors.push(error.message);
+        if (error.message == "error a") { throw new Error("handler error"); }
+    });
+    var received = [];
+    t.object.addChangeObserver(function(info)
+    {
+        received.push(info.name);
+        throw new Error("error " + info.name);
+    });
+    t.object.a = 1;
+    t.object.b = 1;
+    t.callbacks.shift()();
+    assert.deepEqual(received, ["a", "b"]);
+    assert.deepEqual(errors, ["error a", "error b", "handler error"]);
+})();
+
+console.log("ETO_Observable_asyncDelivery: all tests passed");
@@ -0,0 +1,77 @@
+// Tests the dependencies of computed properties: properties of this and other observables, and the
+// length and items of lists, however they are read.
+require("./loadETO.js");
+var assert = require("assert");
+
+// Adds a computed property to a new object and returns the object, with an observer so that the
+// value is recomputed when a dependency changes
+function makeComputed(computeFunc)
+{
+    var obj = new ETO_Observable();
+    assert.equal(obj.addComputedProperty("value", computeFunc), true);
+    obj.addChangeObserver(function() {});
+    return obj;
+}
+
+// Properties of this object and of other objects
+(function()
+{
+    var other = new ETO_Observable({ "b": 2 });
+    var obj = new ETO_Observable({ "a": 1 });
+    obj.addComputedProperty("sum", function() { return this.a + other.b; });
+    var values = [];
+    obj.addChangeObserver(function(info) { if (info.name == "sum") { values.push(obj.sum); } });
+    assert.equal(obj.sum, 3);
+    obj.a = 5;
+    other.b = 1;
+    assert.deepEqual(values, [7, 6]);
+})();
+
+// Items of a list read by index, with at or with other read functions
+(function()
+{
+    var list = new ETO_ObservableList({ "objectToCopy": [1, 2, 3] });
+    var reads = {
+        "index": function() { return list[0]; },
+        "at": function() { return list.at(0); },
+        "toArray": function() { return list.toArray()[0]; },
+        "map": function() { return list.map(function(x) { return x; })[0]; },
+        "first": function() { return list.first(function() { return true; }); },
+        "reduce": function() { return list.reduce(function(a, x) { return a + x; }, 0); },
+        "length": function() { return list.length; }
+    };
+    var objects = {};
+    for (var name in reads) { objects[name] = makeComputed(reads[name]); }
+    assert.equal(objects.index.value, 1);
+    assert.equal(objects.at.value, 1);
+    assert.equal(objects.reduce.value, 6);
+
+    list.setAt(0, 9);
+    assert.equal(objects.index.value, 9);
+    assert.equal(objects.at.value, 9);
+    assert.equal(objects.toArray.value, 9);
+    assert.equal(objects.map.value, 9);
+    assert.equal(objects.first.value, 9);
+    assert.equal(objects.reduce.value, 14);
+    assert.equal(objects.length.value, 3);
+
+    list.add(4);
+    assert.equal(objects.length.value, 4);
+    assert.equal(objects.reduce.value, 18);
+})();
+
+// Without observers, a stale value is recomputed when read
+(function()
+{
+    var list = new ETO_ObservableList({ "objectToCopy": ["a"] });
+    var obj = new ETO_Observable();
+    obj.addComputedProperty("first", function() { return list.at(0); });
+    assert.equal(obj.first, "a");
+    list.setAt(0, "b");
+    assert.equal(obj.first, "b");
+
+    assert.equal(obj.removeProperty("first"), true);
+    assert.equal(list.observerCount, 0);
+})();
+
+console.log("ETO_Observable_computed: all tests passed");
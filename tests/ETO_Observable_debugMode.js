@@ -0,0 +1,76 @@
+// Tests that debug mode only reports observers added or removed during notifications by callers' 
+// code, and not those that the library re-attaches for its own features.
+require("./loadETO.js");
+var assert = require("assert");
+
+var reported = [];
+ETO_Observable.setDefaultObserverErrorHandler(function(error) { reported.push(error.message); });
+ETO_Observable.setDebugMode(true);
+
+// Runs a test and checks the number of diagnostics reported
+function check(testName, expectedCount, func)
+{
+    reported = [];
+    func();
+    assert.equal(reported.length, expectedCount, testName + ": " + JSON.stringify(reported));
+}
+
+check("path observer", 0, function()
+{
+    var inner = new ETO_Observable();
+    inner.addProperty("b", 1, false, true, true);
+    var o = new ETO_Observable();
+    o.addProperty("a", inner, false, true, true);
+    var values = [];
+    o.addPathObserver("a.b", function(details) { values.push(details.value); });
+    inner.b = 2;
+    var other = new ETO_Observable();
+    other.addProperty("b", 3, false, true, true);
+    o.a = other;
+    assert.deepEqual(values, [2, 3]);
+});
+
+check("computed property", 0, function()
+{
+    var o = new ETO_Observable();
+    o.addProperty("a", 1, false, true, true);
+    o.addComputedProperty("double", function() { return this.a * 2; });
+    var values = [];
+    o.addPropertyObserver("double", function() { values.push(o["double"]); });
+    o.a = 2;
+    o.a = 3;
+    assert.deepEqual(values, [4, 6]);
+});
+
+check("once observer", 0, function()
+{
+    var o = new ETO_Observable();
+    o.addProperty("a", 1, false, true, true);
+    var calls = 0;
+    o.once(function() { calls++; });
+    o.a = 2;
+    o.a = 3;
+    assert.equal(calls, 1);
+});
+
+check("once observer of a list", 0, function()
+{
+    var list = new ETO_ObservableList();
+    var calls = 0;
+    list.once(function() { calls++; });
+    list.add(1);
+    list.add(2);
+    assert.equal(calls, 1);
+});
+
+check("caller's observer removed during notification", 1, function()
+{
+    var o = new ETO_Observable();
+    o.addProperty("a", 1, false, true, true);
+    var handle = o.addChangeObserver(function() { o.removeChangeObserver(handle); });
+    o.a = 2;
+});
+
+ETO_Observable.setDebugMode(false);
+ETO_Observable.setDefaultObserverErrorHandler(null);
+console.log("ETO_Observable_debugMode: all tests passed");
@@ -0,0 +1,117 @@
+// Tests the advanced serialization of ETO_Observable: round-trips through the type registry, that
+// properties which fail to deserialize are skipped and reported, and that data saved with global
+// types such as Date still loads.
+require("./loadETO.js");
+var assert = require("assert");
+
+// Serializes the object and parses the JSON, as when loading saved data
+function roundTrip(obj)
+{
+    return JSON.parse(JSON.stringify(obj));
+}
+
+// Round-trip of primitives, built-in types and nested observables
+(function()
+{
+    var obj = new ETO_Observable(null, false);
+    obj.addProperty("name", "doc", true, false, true);
+    obj.addProperty("count", 3, true, true, true);
+    obj.addProperty("created", new Date(Date.UTC(2020, 1, 2)), true, true, true);
+    obj.addProperty("inner", new ETO_Observable({ "flag": true }), true, true, true);
+    obj.addProperty("list", new ETO_ObservableList({ "objectToCopy": [1, "a", null] }), true, true,
+        true);
+
+    var copy = new ETO_Observable(roundTrip(obj));
+    assert.ok(copy.deserializationResult.success);
+    assert.equal(copy.name, "doc");
+    assert.equal(Object.getOwnPropertyDescriptor(copy, "name").writable, false);
+    assert.equal(copy.count, 3);
+    assert.ok(copy.created instanceof Date);
+    assert.equal(copy.created.getTime(), Date.UTC(2020, 1, 2));
+    assert.ok(copy.inner instanceof ETO_Observable);
+    assert.equal(copy.inner.flag, true);
+    assert.deepEqual(copy.list.toArray(), [1, "a", null]);
+
+    assert.strictEqual(new ETO_Observable({ "a": 1 }).deserializationResult, null);
+})();
+
+// Properties that fail to deserialize are skipped instead of failing the construction
+(function()
+{
+    var data = { "ETO_Observable_SerializedData": [
+        { "name": "a", "value": 1, "varType": "number", "enumerable": true, "writable": true,
+            "configurable": true },
+        { "name": "b", "value": {}, "varType": "NoSuchType", "enumerable": true, "writable": true,
+            "configurable": true },
+        { "name": "c", "value": "x", "varType": "string", "enumerable": true, "writable": true,
+            "configurable": true }
+    ] };
+    var obj = new ETO_Observable(data);
+    assert.equal(obj.a, 1);
+    assert.equal(obj.c, "x");
+    assert.equal("b" in obj, false);
+    assert.equal(obj.deserializationResult.success, false);
+    assert.equal(obj.deserializationResult.errors.length, 1);
+    assert.ok(/NoSuchType/.test(obj.deserializationResult.message));
+
+    var result = ETO_Observable.deserialize(data);
+    assert.equal(result.success, false);
+    assert.equal(result.errors.length, 1);
+    assert.equal(result.value, undefined);
+    assert.ok(ETO_Observable.deserialize(roundTrip(new ETO_Observable({ "a": 1 }, false))).success);
+})();
+
+// addDeserializedProperty returns a boolean, tryAddDeserializedProperty an ETO_Result
+(function()
+{
+    var obj = new ETO_Observable();
+    var desc = { "name": "a", "value": 1, "varType": "number", "enumerable": true,
+        "writable": true, "configurable": true };
+    assert.strictEqual(obj.addDeserializedProperty(desc), true);
+    assert.strictEqual(obj.addDeserializedProperty(desc), false);
+    var result = obj.tryAddDeserializedProperty(desc);
+    assert.equal(result.success, false);
+    assert.equal(result.op, "ETO_Observable.tryAddDeserializedProperty");
+    desc.name = "b";
+    desc.varType = "Unknown";
+    assert.strictEqual(obj.addDeserializedProperty(desc), false);
+})();
+
+// Data saved before the type registry existed, with the names of global constructors as types
+(function()
+{
+    var data = { "ETO_Observable_SerializedData": [
+        { "name": "when", "value": "2021-03-04T05:06:07.000Z", "varType": "Date",
+            "enumerable": true, "writable": true, "configurable": true },
+        { "name": "label", "value": "x", "varType": "String", "enumerable": true,
+            "writable": true, "configurable": true },
+        { "name": "options", "value": { "a": 1 }, "varType": "Object", "enumerable": true,
+            "writable": true, "configurable": true }
+    ] };
+    var obj = new ETO_Observable(data);
+    assert.ok(obj.deserializationResult.success, obj.deserializationResult.message);
+    assert.equal(obj.when.toISOString(), "2021-03-04T05:06:07.000Z");
+    assert.equal(String(obj.label), "x");
+    assert.deepEqual(obj.options, { "a": 1 });
+})();
+
+// Registered types
+(function()
+{
+    function Point(data) { this.x = data.x; this.y = data.y; }
+    assert.equal(ETO_Observable.registerType("Point", Point), true);
+    assert.equal(ETO_Observable.registerType("Point", Point), false);
+    assert.equal(ETO_Observable.registerType("number", Point), false);
+
+    var obj = new ETO_Observable({ "p": new Point({ "x": 1, "y": 2 }) }, false);
+    var copy = new ETO_Observable(roundTrip(obj));
+    assert.ok(copy.p instanceof Point);
+    assert.equal(copy.p.y, 2);
+
+    assert.equal(ETO_Observable.unregisterType("Point"), true);
+    copy = new ETO_Observable(roundTrip(obj));
+    assert.equal(copy.deserializationResult.success, false);
+    assert.equal("p" in copy, false);
+})();
+
+console.log("ETO_Observable_serialization: all tests passed");
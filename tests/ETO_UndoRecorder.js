@@ -0,0 +1,73 @@
+// Tests that changes recorded by ETO_UndoRecorder are reverted by undo and re-applied by redo.
+require("./loadETO.js");
+var assert = require("assert");
+
+// Records the change that func makes to a new list of the items, then checks the list after the
+// undo and after the redo
+function checkList(testName, items, func)
+{
+    var list = new ETO_ObservableList({ "objectToCopy": items });
+    var undoRedo = new ETO_UndoRedoSystem();
+    var recorder = new ETO_UndoRecorder(undoRedo);
+    recorder.attach(list);
+    recorder.record(testName, function() { func(list); });
+    var changed = list.toArray();
+
+    assert.equal(undoRedo.undoCount, 1, testName + ": undo added");
+    undoRedo.execUndo();
+    assert.deepEqual(list.toArray(), items, testName + ": after undo");
+    undoRedo.execRedo();
+    assert.deepEqual(list.toArray(), changed, testName + ": after redo");
+}
+
+checkList("single remove", ["a", "b", "c", "d"], function(list) { list.remove(1); });
+checkList("multi-item remove", ["a", "b", "c", "d"], function(list) { list.remove(0, 3); });
+checkList("multi-item remove in the middle", ["a", "b", "c", "d", "e"], function(list)
+{
+    list.remove(1, 3);
+});
+checkList("multi-item remove in a batch", ["a", "b", "c", "d"], function(list)
+{
+    list.batch(function() { list.remove(1, 2); list.add("e", 0); });
+});
+checkList("separate removes in a batch", ["a", "b", "c", "d"], function(list)
+{
+    list.batch(function() { list.remove(0); list.remove(1); });
+});
+checkList("add and replace", ["a", "b"], function(list)
+{
+    list.add("c", 1);
+    list.setAt(0, "z");
+});
+checkList("range changes", ["a", "b", "c", "d"], function(list)
+{
+    list.removeRange(0, 2);
+    list.insertRange(1, ["x", "y"]);
+    list.replaceRange(0, 1, ["z"]);
+});
+checkList("splice", ["a", "b", "c", "d"], function(list) { list.splice(1, 2, "x", "y", "z"); });
+checkList("move and reverse", ["a", "b", "c", "d"], function(list)
+{
+    list.move(0, 3);
+    list.reverse();
+});
+
+// Property changes, including of values reachable from the attached root
+(function()
+{
+    var inner = new ETO_Observable({ "b": 1 });
+    var root = new ETO_Observable({ "a": 1, "inner": inner });
+    var undoRedo = new ETO_UndoRedoSystem();
+    var recorder = new ETO_UndoRecorder(undoRedo);
+    recorder.attach(root);
+    recorder.record("set", function() { root.a = 2; inner.b = 3; });
+    assert.equal(undoRedo.undoCount, 1);
+    undoRedo.execUndo();
+    assert.equal(root.a, 1);
+    assert.equal(inner.b, 1);
+    undoRedo.execRedo();
+    assert.equal(root.a, 2);
+    assert.equal(inner.b, 3);
+})();
+
+console.log("ETO_UndoRecorder: all tests passed");
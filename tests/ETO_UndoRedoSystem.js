@@ -0,0 +1,208 @@
+// Tests ETO_UndoRedoSystem: undo and redo, the history tree and jumpTo, merging, undo groups, save
+// points and history limits, along with the notifications of each.
+require("./loadETO.js");
+var assert = require("assert");
+
+// Makes an undo/redo system with the options and an object with a "value" property to change
+function makeSystem(options)
+{
+    var undoRedo = new ETO_UndoRedoSystem(options);
+    var target = new ETO_Observable({ "value": 0 });
+    return {
+        "undoRedo": undoRedo,
+        "target": target,
+        "set": function(value, text)
+        {
+            undoRedo.execWithUndo(text ? text : "Set " + value,
+                new ETO_SetPropertyCmd(target, "value", value));
+        }
+    };
+}
+
+// Returns an array that gets the name of each notification of the object, with the names of the
+// changes of batched notifications in parentheses
+function recordNames(object)
+{
+    var names = [];
+    object.addChangeObserver(function(info)
+    {
+        if (!info.changes) { names.push(info.name); }
+        else { names.push("(" + info.changes.map(function(c) { return c.name; }).join(",") + ")"); }
+    });
+    return names;
+}
+
+// Undo and redo
+(function()
+{
+    var t = makeSystem();
+    t.set(1);
+    t.set(2);
+    assert.equal(t.undoRedo.undoCount, 2);
+    assert.equal(t.undoRedo.undoText, "Set 2");
+    t.undoRedo.execUndo();
+    assert.equal(t.target.value, 1);
+    assert.equal(t.undoRedo.redoCount, 1);
+    t.undoRedo.execRedo();
+    assert.equal(t.target.value, 2);
+    assert.equal(t.undoRedo.redoCount, 0);
+
+    // Adding an undo discards the redos outside of tree mode
+    t.undoRedo.execUndo();
+    t.set(3);
+    assert.equal(t.undoRedo.redoCount, 0);
+    assert.equal(t.undoRedo.getBranches().length, 1);
+})();
+
+// The history tree and jumpTo
+(function()
+{
+    var t = makeSystem({ "treeMode": true });
+    t.set(1);
+    var one = t.undoRedo.currentNode;
+    t.set(2);
+    var two = t.undoRedo.currentNode;
+    t.undoRedo.execUndo();
+    t.set(3);
+    var three = t.undoRedo.currentNode;
+    assert.deepEqual(one.children, [two, three]);
+    assert.deepEqual(t.undoRedo.getBranches(), [two, three]);
+
+    var names = recordNames(t.undoRedo);
+    assert.equal(t.undoRedo.jumpTo(two), true);
+    assert.equal(t.target.value, 2);
+    assert.strictEqual(t.undoRedo.currentNode, two);
+    assert.equal(t.undoRedo.undoCount, 2);
+    assert.equal(t.undoRedo.redoCount, 0);
+
+    // Jumps send the same notifications as undos and redos, not a batch
+    assert.ok(names.indexOf("undoCount") != -1, JSON.stringify(names));
+    assert.ok(names.indexOf("currentNode") != -1, JSON.stringify(names));
+    assert.ok(names.every(function(name) { return name.charAt(0) != "("; }), JSON.stringify(names));
+
+    // Batching them is up to the caller
+    names.splice(0);
+    t.undoRedo.batch(function() { t.undoRedo.jumpTo(three); });
+    assert.equal(names.length, 1);
+    assert.equal(t.target.value, 3);
+
+    assert.equal(t.undoRedo.jumpTo(t.undoRedo.rootNode), true);
+    assert.equal(t.target.value, 0);
+    assert.equal(t.undoRedo.redoCount, 2);
+    assert.equal(t.undoRedo.redoText, "Set 1");
+    assert.equal(t.undoRedo.jumpTo({}), false);
+})();
+
+// Merging
+(function()
+{
+    var t = makeSystem({ "mergeWindow": 60000 });
+    t.set(1);
+    t.set(2);
+    t.set(3);
+    assert.equal(t.undoRedo.undoCount, 1);
+    t.undoRedo.breakMerge();
+    t.set(4);
+    assert.equal(t.undoRedo.undoCount, 2);
+    t.undoRedo.execUndo();
+    assert.equal(t.target.value, 3);
+    t.undoRedo.execUndo();
+    assert.equal(t.target.value, 0);
+})();
+
+// Undo groups
+(function()
+{
+    var t = makeSystem();
+    t.undoRedo.group("Group", function()
+    {
+        t.set(1);
+        t.undoRedo.group("Inner", function() { t.set(2); });
+        assert.equal(t.undoRedo.groupDepth, 1);
+    });
+    assert.equal(t.undoRedo.undoCount, 1);
+    assert.equal(t.undoRedo.undoText, "Group");
+    t.undoRedo.execUndo();
+    assert.equal(t.target.value, 0);
+
+    // Aborting rolls back the changes made in the group
+    t.undoRedo.beginGroup("Aborted");
+    t.set(5);
+    t.set(6);
+    assert.equal(t.undoRedo.abortGroup(), true);
+    assert.equal(t.target.value, 0);
+    assert.equal(t.undoRedo.undoCount, 0);
+    assert.throws(function()
+    {
+        t.undoRedo.group("Throws", function() { t.set(7); throw new Error("x"); });
+    });
+    assert.equal(t.target.value, 0);
+    assert.equal(t.undoRedo.groupDepth, 0);
+
+    // clear() closes open groups
+    t.undoRedo.beginGroup("Open");
+    t.set(8);
+    t.undoRedo.clear();
+    assert.equal(t.undoRedo.groupDepth, 0);
+    assert.equal(t.undoRedo.isDirty, true);
+})();
+
+// Save points
+(function()
+{
+    var t = makeSystem();
+    t.undoRedo.markSavePoint();
+    assert.equal(t.undoRedo.isDirty, false);
+    t.set(1);
+    assert.equal(t.undoRedo.isDirty, true);
+    t.undoRedo.execUndo();
+    assert.equal(t.undoRedo.isDirty, false);
+    t.undoRedo.execRedo();
+    t.undoRedo.markSavePoint();
+    t.undoRedo.execUndo();
+    assert.equal(t.undoRedo.isDirty, true);
+
+    // Outside of tree mode, the save point is discarded with the redos
+    t.set(2);
+    t.undoRedo.execUndo();
+    assert.equal(t.undoRedo.isDirty, true);
+})();
+
+// Limits and the "evicted" notification
+(function()
+{
+    var t = makeSystem({ "maxDepth": 2 });
+    var evicted = [];
+    t.undoRedo.addChangeObserver(function(info)
+    {
+        if (info.name == "evicted") { evicted.push(info.evicted); }
+    });
+    t.set(1);
+    t.set(2);
+    t.set(3);
+    assert.equal(t.undoRedo.undoCount, 2);
+    assert.equal(evicted.length, 1);
+    assert.equal(evicted[0][0].text, "Set 1");
+    assert.equal(evicted[0][0].isRedo, false);
+
+    // During a batch, each "evicted" notification is one of the changes, in order. They are not
+    // merged like the changes of a property.
+    var batches = [];
+    t.undoRedo.addChangeObserver(function(info)
+    {
+        if (info.changes) { batches.push(info.changes); }
+    });
+    t.undoRedo.batch(function() { t.set(4); t.set(5); });
+    assert.equal(batches.length, 1);
+    var evictedChanges = batches[0].filter(function(c) { return c.name == "evicted"; });
+    assert.equal(evictedChanges.length, 2);
+    assert.deepEqual(evictedChanges.map(function(c) { return c.evicted[0].text; }),
+        ["Set 2", "Set 3"]);
+    var names = batches[0].map(function(c) { return c.name; });
+    assert.deepEqual(names, ["undoText", "evicted", "currentNode", "evicted"]);
+
+    assert.equal(t.undoRedo.setLimits({ "maxDepth": 1 }), 1);
+    assert.equal(t.undoRedo.undoCount, 1);
+})();
+
+console.log("ETO_UndoRedoSystem: all tests passed");
@@ -0,0 +1,23 @@
+// Loads the library's global-script files into the global scope of this Node.js process, in 
+// dependency order, so that tests can use them as a page would. Each test is a plain script that 
+// throws on failure and is run with node, for example:
+//   node tests/ETO_ObservableList_itemIndex.js
+var fs = require("fs");
+var path = require("path");
+var vm = require("vm");
+
+var files = [
+    "ETO_Foundation.js",
+    "ETO_Commands.js",
+    "ETO_Observable.js",
+    "ETO_ObservableMap.js",
+    "ETO_ObservableSet.js",
+    "ETO_ObservableListViews.js",
+    "ETO_ObservableModel.js",
+    "ETO_UndoRedoDefs.js"
+];
+for (var i = 0; i < files.length; i++)
+{
+    var fileName = path.join(__dirname, "..", files[i]);
+    vm.runInThisContext(fs.readFileSync(fileName, "utf8"), { "filename": fileName });
+}